@@ -1,26 +1,135 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
+const glob = require('@actions/glob');
 const fs = require('fs');
+const path = require('path');
 const Papa = require('papaparse');
+const YAML = require('yaml');
+
+// Hidden marker used to recognize issues created from a row with an external id
+const EXTERNAL_ID_MARKER = /<!--\s*issue-importer-id:\s*(.+?)\s*-->/;
+
+// Placeholder in a body for the number of the issue created from another row
+const REFERENCE_PLACEHOLDER = /\{\{\s*ref:\s*([^}]+?)\s*\}\}/g;
+
+// Property recording the file a row was read from, and its index unless the file holds a single row
+const ROW_SOURCE = Symbol('rowSource');
+
+// Front matter block at the start of a Markdown file
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Formats inferred from file extensions when file-format is "auto"
+const FORMAT_EXTENSIONS = {
+  '.csv': 'csv',
+  '.json': 'json',
+  '.yml': 'yaml',
+  '.yaml': 'yaml',
+  '.md': 'markdown'
+};
+
+// Formats whose files can hold "labels" and "milestones" sections next to the issues
+const STRUCTURED_FORMATS = ['json', 'yaml'];
+
+// Issue fields that can be mapped from source columns with field-mapping
+const MAPPABLE_FIELDS = [
+  'title', 'body', 'labels', 'assignees', 'milestone', 'id', 'number', 'state', 'state_reason', 'parent', 'type', 'repository'
+];
+
+// Fields holding a list of values, split on a separator
+const MULTI_VALUE_FIELDS = ['labels', 'assignees'];
+
+// Export formats of other trackers, selected with the source input
+const SOURCE_PRESETS = {
+  jira: { repeatedColumns: true, convert: convertJiraRow },
+  gitlab: { convert: convertGitLabRow },
+  'azure-boards': { convert: convertAzureBoardsRow }
+};
+
+// Jira statuses and resolutions of work that is no longer open
+const JIRA_CLOSED_STATUSES = ['done', 'closed', 'resolved', 'cancelled', 'canceled', 'won\'t do', 'won\'t fix'];
+
+// Azure Boards states of work items that are no longer open
+const AZURE_BOARDS_CLOSED_STATES = ['closed', 'done', 'removed', 'resolved', 'completed'];
+
+// Header of imported comments, rendered with the author and timestamp of each comment
+const DEFAULT_COMMENT_HEADER = '{{#author}}_Originally posted by {{author}}{{#created_at}} on {{created_at}}{{/created_at}}_{{/author}}';
+
+// Prefix of the columns holding the values of project fields
+const PROJECT_FIELD_PREFIX = 'project.';
+
+// Schema of a Projects (v2) board, with the options of single select and iteration fields
+const PROJECT_QUERY = `query($login: String!, $number: Int!) {
+  %OWNER%(login: $login) {
+    projectV2(number: $number) {
+      id
+      title
+      fields(first: 100) {
+        nodes {
+          ... on ProjectV2FieldCommon { id name dataType }
+          ... on ProjectV2SingleSelectField { options { id name } }
+          ... on ProjectV2IterationField {
+            configuration {
+              iterations { id title }
+              completedIterations { id title }
+            }
+          }
+        }
+      }
+    }
+  }
+}`;
+
+// Limits GitHub enforces on issue titles, bodies and label names
+const MAX_TITLE_LENGTH = 256;
+const MAX_BODY_LENGTH = 65536;
+const MAX_LABEL_LENGTH = 50;
+
+// Values of the validation-mode input
+const VALIDATION_MODES = ['continue', 'strict', 'validate-only'];
+
+// Warning lists of the pre-flight validation, whose warnings are reported with the validation results
+const PREFLIGHT_WARNINGS = new WeakSet();
+
+// Color of labels created without a declared color
+const DEFAULT_LABEL_COLOR = 'ededed';
+
+// Statuses of rows that don't need to be processed again when resuming from a state file
+const COMPLETED_STATUSES = ['created', 'updated', 'unchanged', 'skipped'];
+
+// Columns of the results file
+const RESULT_COLUMNS = ['index', 'externalId', 'source', 'repository', 'title', 'status', 'state', 'number', 'url', 'error'];
+
+// Icons used when logging the result of each row
+const STATUS_ICONS = {
+  created: '✅',
+  updated: '🔄',
+  unchanged: '➖',
+  skipped: '⏭️',
+  closed: '🗑️',
+  'dry-run': '🔍',
+  failed: '❌'
+};
 
 /**
  * Parse CSV file and return array of issue objects
  * @param {string} filePath - Path to the CSV file
+ * @param {Object} options - Optional settings: repeatedColumns collects the values of columns
+ *   sharing a header into an array instead of keeping only one of them
  * @returns {Promise<Array>} Array of issue objects
  */
-async function parseCsvFile(filePath) {
+async function parseCsvFile(filePath, options = {}) {
   return new Promise((resolve, reject) => {
     const fileContent = fs.readFileSync(filePath, 'utf8');
 
     Papa.parse(fileContent, {
-      header: true,
+      header: !options.repeatedColumns,
       skipEmptyLines: true,
       complete: (result) => {
         if (result.errors.length > 0) {
           reject(new Error(`CSV parsing errors: ${result.errors.map(e => e.message).join(', ')}`));
           return;
         }
-        resolve(result.data);
+        resolve(options.repeatedColumns ? groupRepeatedColumns(result.data) : result.data);
       },
       error: (error) => {
         reject(new Error(`Failed to parse CSV: ${error.message}`));
@@ -29,6 +138,32 @@ async function parseCsvFile(filePath) {
   });
 }
 
+/**
+ * Build row objects from CSV records, collecting repeated columns into arrays
+ * @param {Array} records - Parsed CSV records, starting with the header row
+ * @returns {Array} Row objects; repeated columns hold the list of their non-empty values
+ */
+function groupRepeatedColumns(records) {
+  const [headers = [], ...rows] = records;
+  const repeated = new Set(headers.filter((header, index) => headers.indexOf(header) !== index));
+
+  return rows.map(values => {
+    const row = {};
+    headers.forEach((header, index) => {
+      const value = values[index] !== undefined ? values[index] : '';
+      if (!repeated.has(header)) {
+        row[header] = value;
+      } else {
+        row[header] = row[header] || [];
+        if (value.trim() !== '') {
+          row[header].push(value);
+        }
+      }
+    });
+    return row;
+  });
+}
+
 /**
  * Parse JSON file and return array of issue objects
  * @param {string} filePath - Path to the JSON file
@@ -53,332 +188,3456 @@ async function parseJsonFile(filePath) {
 }
 
 /**
- * Validate issue object has required fields
- * @param {Object} octokit - GitHub API client
- * @param {Object} context - GitHub context
- * @param {Object} issue - Issue object to validate
- * @param {number} index - Index for error reporting
- * @param {Map} milestoneMap - Map of milestone titles to numbers
- * @returns {Promise<Object>} Validated and normalized issue object
+ * Parse YAML file and return array of issue objects
+ * @param {string} filePath - Path to the YAML file
+ * @returns {Promise<Array>} Array of issue objects
  */
-async function validateIssue(octokit, context, issue, index, milestoneMap) {
-  if (!issue.title || typeof issue.title !== 'string' || issue.title.trim() === '') {
-    throw new Error(`Issue at index ${index} is missing a valid title`);
-  }
-
-  const parsedAssignees = parseAssignees(issue.assignees);
-  const validAssignees = await validateAssignees(octokit, context, parsedAssignees);
+async function parseYamlFile(filePath) {
+  try {
+    const fileContent = fs.readFileSync(filePath, 'utf8');
+    const data = parseYamlContent(fileContent);
 
-  return {
-    title: issue.title.trim(),
-    body: issue.body || issue.description || '',
-    labels: parseLabels(issue.labels),
-    assignees: validAssignees,
-    milestone: resolveMilestone(issue.milestone, milestoneMap)
-  };
+    // Support both a top-level list and a mapping with an issues list
+    if (Array.isArray(data)) {
+      return data;
+    } else if (data && data.issues && Array.isArray(data.issues)) {
+      return data.issues;
+    } else {
+      throw new Error('YAML file must contain a list of issues or a mapping with an "issues" list');
+    }
+  } catch (error) {
+    throw new Error(`Failed to parse YAML file: ${error.message}`);
+  }
 }
 
 /**
- * Parse labels from various formats
- * @param {string|Array} labels - Labels in string or array format
- * @returns {Array} Array of label strings
+ * Parse a single Markdown file with optional YAML front matter
+ * @param {string} file - Path to the Markdown file
+ * @returns {Object} Issue object, tagged with the file it was read from
  */
-function parseLabels(labels) {
-  if (!labels) return [];
+function parseMarkdownFile(file) {
+  try {
+    const content = fs.readFileSync(file, 'utf8');
+    const match = content.match(FRONT_MATTER);
+    const frontMatter = match ? parseYamlContent(match[1]) : {};
 
-  if (Array.isArray(labels)) {
-    return labels.filter(label => label && typeof label === 'string');
-  }
+    if (frontMatter !== null && (typeof frontMatter !== 'object' || Array.isArray(frontMatter))) {
+      throw new Error('front matter must be a mapping of fields');
+    }
 
-  if (typeof labels === 'string') {
-    // Replace semicolons with commas, then split on commas
-    const normalized = labels.replace(/;/g, ',');
-    return normalized.split(',').map(label => label.trim()).filter(label => label);
+    const issue = {
+      ...frontMatter,
+      body: (match ? content.slice(match[0].length) : content).trim()
+    };
+    issue[ROW_SOURCE] = { file };
+    return issue;
+  } catch (error) {
+    throw new Error(`Failed to parse Markdown file ${file}: ${error.message}`);
   }
-
-  return [];
 }
 
 /**
- * Parse assignees from various formats
- * @param {string|Array} assignees - Assignees in string or array format
- * @returns {Array} Array of assignee usernames
+ * Describe where a row comes from, for error messages
+ * @param {Object} issue - Raw issue object from the input file
+ * @param {number} index - Index of the row
+ * @returns {string} "in <file>" for rows read from their own file, "at index <n> in <file>"
+ *   for rows of a loaded input file, otherwise "at index <index>"
  */
-function parseAssignees(assignees) {
-  if (!assignees) return [];
-
-  if (Array.isArray(assignees)) {
-    return assignees.filter(assignee => assignee && typeof assignee === 'string');
+function describeRow(issue, index) {
+  const source = issue && issue[ROW_SOURCE];
+  if (!source) {
+    return `at index ${index}`;
   }
+  return source.index === undefined ? `in ${source.file}` : `at index ${source.index} in ${source.file}`;
+}
 
-  if (typeof assignees === 'string') {
-    // Replace semicolons with commas, then split on commas
-    const normalized = assignees.replace(/;/g, ',');
-    return normalized.split(',').map(assignee => assignee.trim()).filter(assignee => assignee);
-  }
+/**
+ * Get the file a row was read from
+ * @param {Object} issue - Raw issue object from the input file
+ * @returns {string|undefined} Path of the source file, if known
+ */
+function getRowSource(issue) {
+  return (issue && issue[ROW_SOURCE] && issue[ROW_SOURCE].file) || undefined;
+}
 
-  return [];
+/**
+ * Get the file of a row that was read from its own file, such as a Markdown issue
+ * @param {Object} issue - Raw issue object from the input file
+ * @returns {string|undefined} Path of the file, or undefined for rows of a CSV, JSON or YAML file
+ */
+function getRowFile(issue) {
+  const source = issue && issue[ROW_SOURCE];
+  return source && source.index === undefined ? source.file : undefined;
 }
 
 /**
- * Validate assignees exist in the repository
- * @param {Object} octokit - GitHub API client
- * @param {Object} context - GitHub context
- * @param {Array} assignees - Array of assignee usernames
- * @returns {Promise<Array>} Array of valid assignee usernames
+ * Parse a repository given as owner/name
+ * @param {string} value - Repository name
+ * @returns {Object|null} { owner, repo }, or null when the value is not in the owner/name format
  */
-async function validateAssignees(octokit, context, assignees) {
-  if (!assignees || assignees.length === 0) return [];
+function parseRepository(value) {
+  const match = /^([\w.-]+)\/([\w.-]+)$/.exec(String(value).trim());
+  return match ? { owner: match[1], repo: match[2] } : null;
+}
 
-  const { owner, repo } = context.repo;
-  const validAssignees = [];
+/**
+ * Group rows by the repository they are imported into, from their repository column.
+ * Every invalid repository is reported at once.
+ * @param {Array} issues - Rows from the input files
+ * @param {Object} defaultRepository - { owner, repo } of rows without a repository
+ * @returns {Map} Targets by lowercase owner/name, each { name, context, indexes }
+ */
+function groupRowsByRepository(issues, defaultRepository) {
+  const targets = new Map();
+  const errors = [];
 
-  for (const assignee of assignees) {
-    try {
-      // Check if user exists and has access to the repository
-      await octokit.rest.repos.checkCollaborator({
-        owner,
-        repo,
-        username: assignee
-      });
-      validAssignees.push(assignee);
-      core.debug(`✅ Assignee '${assignee}' is valid`);
-    } catch (error) {
-      if (error.status === 404) {
-        core.warning(`⚠️ Assignee '${assignee}' is not a collaborator of this repository. Skipping.`);
-      } else {
-        core.warning(`⚠️ Could not validate assignee '${assignee}': ${error.message}. Skipping.`);
-      }
+  issues.forEach((issue, index) => {
+    const value = issue && typeof issue === 'object' && issue.repository ? String(issue.repository).trim() : '';
+    const repository = value ? parseRepository(value) : defaultRepository;
+    if (!repository) {
+      errors.push(`Issue ${describeRow(issue, index)} has an invalid repository "${value}" (expected owner/name)`);
+      return;
+    }
+
+    const name = `${repository.owner}/${repository.repo}`;
+    const key = name.toLowerCase();
+    if (!targets.has(key)) {
+      targets.set(key, { name, context: { repo: repository }, indexes: [] });
     }
+    targets.get(key).indexes.push(index);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid repositories:\n${errors.map(error => `- ${error}`).join('\n')}`);
   }
+  return targets;
+}
 
-  return validAssignees;
+/**
+ * Expand a glob pattern into the matching files
+ * @param {string} pattern - Glob pattern
+ * @returns {Promise<Array>} Sorted file paths, relative to the working directory
+ */
+async function expandGlob(pattern) {
+  const globber = await glob.create(pattern, { matchDirectories: false });
+  return (await globber.glob())
+    .map(file => path.relative(process.cwd(), file))
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
 }
 
 /**
- * Get all milestones for the repository and create a mapping
- * @param {Object} octokit - GitHub API client
- * @param {Object} context - GitHub context
- * @returns {Promise<Map>} Map of milestone titles to milestone numbers
+ * Resolve the file-path input into the files to import.
+ * Each line is a file, a directory of Markdown files or a glob pattern.
+ * @param {string} filePathInput - Newline-separated list of paths and patterns
+ * @returns {Promise<Array>} File paths in input order, without duplicates
  */
-async function getMilestoneMapping(octokit, context) {
-  try {
-    const { owner, repo } = context.repo;
-    const response = await octokit.rest.issues.listMilestones({
-      owner,
-      repo,      state: 'all' // Include both open and closed milestones
-    });
+async function resolveInputFiles(filePathInput) {
+  const entries = filePathInput.split(/\r?\n/).map(entry => entry.trim()).filter(entry => entry !== '');
+  const files = [];
 
-    const milestoneMap = new Map();
-    response.data.forEach(milestone => {
-      milestoneMap.set(milestone.title, milestone.number);    });
+  for (const entry of entries) {
+    let matches;
+    if (fs.existsSync(entry) && fs.statSync(entry).isDirectory()) {
+      matches = await expandGlob(path.join(entry, '**', '*.md'));
+      if (matches.length === 0) {
+        throw new Error(`No Markdown files found in ${entry}`);
+      }
+    } else if (fs.existsSync(entry)) {
+      matches = [entry];
+    } else if (/[*?[]/.test(entry)) {
+      matches = await expandGlob(entry);
+      if (matches.length === 0) {
+        throw new Error(`No files found matching ${entry}`);
+      }
+    } else {
+      throw new Error(`File not found: ${entry}`);
+    }
 
-    core.info(`📋 Found ${milestoneMap.size} milestones in repository`);
-    return milestoneMap;
-  } catch (error) {
-    core.warning(`Failed to fetch milestones: ${error.message}`);
-    return new Map();
+    matches.forEach(file => {
+      if (!files.includes(file)) {
+        files.push(file);
+      }
+    });
+  }
+
+  if (files.length === 0) {
+    throw new Error('file-path does not list any files');
   }
+
+  return files;
 }
 
 /**
- * Resolve milestone to number
- * @param {string|number} milestone - Milestone title or number
- * @param {Map} milestoneMap - Map of milestone titles to numbers
- * @returns {number|null} Milestone number or null
+ * Parse a single input file in the given format
+ * @param {string} file - Path to the input file
+ * @param {string} format - File format
+ * @param {Object} options - Optional CSV settings passed to parseCsvFile
+ * @returns {Promise<Array>} Array of issue objects
  */
-function resolveMilestone(milestone, milestoneMap) {  if (!milestone) return null;
+async function parseInputFile(file, format, options = {}) {
+  if (format === 'csv') {
+    return parseCsvFile(file, options);
+  } else if (format === 'yaml') {
+    return parseYamlFile(file);
+  } else if (format === 'markdown') {
+    return [parseMarkdownFile(file)];
+  }
+  return parseJsonFile(file);
+}
 
-  // If it's already a number, return it
-  if (typeof milestone === 'number') {
-    return milestone;  }
+/**
+ * Load every file listed in the file-path input.
+ * Rows are tagged with the file they were read from and their index in that file.
+ * @param {string} filePathInput - Newline-separated list of files, directories and glob patterns
+ * @param {string} fileFormatInput - Normalized file-format input, or "auto" to detect it per file
+ * @param {Object} options - Optional CSV settings passed to parseCsvFile
+ * @returns {Promise<Array>} One entry per file with its path, format and issues
+ */
+async function loadInputFiles(filePathInput, fileFormatInput, options = {}) {
+  const files = await resolveInputFiles(filePathInput);
+  const inputFiles = [];
 
-  // If it's a string that can be parsed as a number, parse it
-  const parsed = parseInt(milestone, 10);
-  if (!isNaN(parsed) && parsed.toString() === milestone.toString()) {
-    return parsed;  }
+  for (const file of files) {
+    const format = fileFormatInput === 'auto' ? detectFileFormat(file) : fileFormatInput;
+    const issues = await parseInputFile(file, format, options);
+    if (!Array.isArray(issues)) {
+      throw new Error(`No issues found in ${file}`);
+    }
 
-  // Try to find by milestone title
-  if (milestoneMap.has(milestone)) {
-    return milestoneMap.get(milestone);  }
+    issues.forEach((issue, index) => {
+      if (issue && typeof issue === 'object' && !issue[ROW_SOURCE]) {
+        issue[ROW_SOURCE] = { file, index };
+      }
+    });
+    inputFiles.push({ file, format, issues });
+  }
 
-  // If milestone not found, log warning and return null
-  core.warning(`Milestone "${milestone}" not found in repository. Issue will be created without milestone.`);
-  return null;
+  return inputFiles;
 }
 
 /**
- * Create a GitHub issue
- * @param {Object} octokit - GitHub API client
- * @param {Object} context - GitHub context
- * @param {Object} issue - Issue object
- * @param {boolean} dryRun - Whether this is a dry run
- * @returns {Promise<Object>} Created issue or dry run result
+ * Load the field-mapping input, given inline as YAML or JSON or as the path to a file
+ * @param {string} fieldMappingInput - Value of the field-mapping input
+ * @returns {Object|null} Normalized mapping from parseFieldMapping, or null when not set
  */
-async function createIssue(octokit, context, issue, dryRun) {
-  const { owner, repo } = context.repo;
-
-  if (dryRun) {
-    core.info(`[DRY RUN] Would create issue: "${issue.title}"`);
-    core.info(`  Labels: ${issue.labels.join(', ') || 'None'}`);
-    core.info(`  Assignees: ${issue.assignees.join(', ') || 'None'}`);
-    core.info(`  Milestone: ${issue.milestone || 'None'}`);
-    return {
-      status: 'dry-run',
-      title: issue.title,
-      number: 'DRY-RUN'
-    };
+function loadFieldMapping(fieldMappingInput) {
+  const input = (fieldMappingInput || '').trim();
+  if (!input) {
+    return null;
   }
 
+  const isFile = !input.includes('\n') && fs.existsSync(input) && fs.statSync(input).isFile();
   try {
-    // Create the issue payload
-    const payload = {
-      owner,
-      repo,
-      title: issue.title,
-      body: issue.body
-    };
+    return parseFieldMapping(parseYamlContent(isFile ? fs.readFileSync(input, 'utf8') : input));
+  } catch (error) {
+    throw new Error(`Invalid field-mapping${isFile ? ` in ${input}` : ''}: ${error.message}`);
+  }
+}
 
-    // Only add labels if they exist
-    if (issue.labels && issue.labels.length > 0) {
-      payload.labels = issue.labels;
-    }
+/**
+ * Validate and normalize a field mapping.
+ * Each issue field maps to a column name, or to an object with "column" or "columns",
+ * a constant "default", a "separator" and, for the body, "headings".
+ * @param {Object} data - Mapping of issue fields to their source
+ * @returns {Object} Mapping of issue fields to { columns, default, separator, headings }
+ */
+function parseFieldMapping(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('expected a mapping of issue fields to columns');
+  }
 
-    // Only add assignees if they exist
-    if (issue.assignees && issue.assignees.length > 0) {
-      payload.assignees = issue.assignees;
+  const mapping = {};
+  Object.entries(data).forEach(([field, source]) => {
+    if (!MAPPABLE_FIELDS.includes(field)) {
+      throw new Error(`unknown field "${field}" (expected one of ${MAPPABLE_FIELDS.join(', ')})`);
     }
 
-    // Only add milestone if it exists
-    if (issue.milestone) {
-      payload.milestone = issue.milestone;
+    if (typeof source === 'string') {
+      mapping[field] = { columns: [source] };
+      return;
     }
-
-    const response = await octokit.rest.issues.create(payload);
-
-    core.info(`✅ Created issue #${response.data.number}: "${issue.title}"`);
-    return {
-      status: 'created',
-      title: issue.title,
-      number: response.data.number,
-      url: response.data.html_url
-    };
-  } catch (error) {
-    let errorMessage = error.message;
-
-    // Parse GitHub API validation errors for better user experience
-    if (error.status === 422 && error.response?.data?.errors) {
-      const validationErrors = error.response.data.errors.map(err =>
-        `${err.field}: ${err.code} - ${err.message || 'Validation failed'}`
-      ).join('; ');
-      errorMessage = `Validation Failed: ${validationErrors}`;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+      throw new Error(`"${field}" must be a column name or a mapping`);
     }
 
-    core.error(`❌ Failed to create issue "${issue.title}": ${errorMessage}`);
-    if (error.documentation_url) {
-      core.error(`📚 See: ${error.documentation_url}`);
+    const columns = source.columns !== undefined ? source.columns : source.column;
+    const columnList = columns === undefined ? [] : Array.isArray(columns) ? columns : [columns];
+    if (columnList.some(column => typeof column !== 'string' || column === '')) {
+      throw new Error(`"${field}" columns must be column names`);
+    }
+    if (columnList.length === 0 && source.default === undefined) {
+      throw new Error(`"${field}" needs a column or a default value`);
+    }
+    if (source.separator !== undefined && (typeof source.separator !== 'string' || source.separator === '')) {
+      throw new Error(`"${field}" separator must be a non-empty string`);
     }
 
-    return {
-      status: 'failed',
-      title: issue.title,
-      error: errorMessage
+    mapping[field] = {
+      columns: columnList,
+      default: source.default,
+      separator: source.separator,
+      headings: source.headings === true
     };
-  }
+  });
+
+  return mapping;
 }
 
 /**
- * Main action function
+ * Read a column of a row, falling back to a case-insensitive match of its name
+ * @param {Object} issue - Raw issue object from the input file
+ * @param {string} column - Column name
+ * @returns {*} Value of the column, or undefined
  */
-async function run() {
-  try {
-    // Get inputs
-    const filePath = core.getInput('file-path', { required: true });
-    const fileFormat = core.getInput('file-format', { required: true }).toLowerCase();
-    const githubToken = core.getInput('github-token', { required: true });
-    const dryRun = core.getInput('dry-run') === 'true';
+function getColumnValue(issue, column) {
+  if (Object.prototype.hasOwnProperty.call(issue, column)) {
+    return issue[column];
+  }
+  const key = Object.keys(issue).find(name => name.toLowerCase() === column.toLowerCase());
+  return key !== undefined ? issue[key] : undefined;
+}
 
-    // Validate inputs
-    if (!['csv', 'json'].includes(fileFormat)) {
-      throw new Error('file-format must be either "csv" or "json"');
-    }
+/**
+ * Build the issue fields of a row from its source columns.
+ * Fields without a mapping keep the value of the column with the same name.
+ * @param {Object} issue - Raw issue object from the input file
+ * @param {Object} mapping - Normalized mapping from parseFieldMapping, or null
+ * @returns {Object} Row with the mapped fields, still tagged with its source
+ */
+function applyFieldMapping(issue, mapping) {
+  if (!mapping || !issue || typeof issue !== 'object') {
+    return issue;
+  }
 
-    if (!fs.existsSync(filePath)) {
-      throw new Error(`File not found: ${filePath}`);
-    }
+  const isEmpty = value => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+  const mapped = { ...issue };
+  mapped[ROW_SOURCE] = issue[ROW_SOURCE];
 
-    // Initialize GitHub client
-    const octokit = github.getOctokit(githubToken);
-    const context = github.context;
+  Object.entries(mapping).forEach(([field, source]) => {
+    const values = source.columns
+      .map(column => [column, getColumnValue(issue, column)])
+      .filter(([, value]) => !isEmpty(value));
 
-    core.info(`🚀 Starting issue import from ${fileFormat.toUpperCase()} file: ${filePath}`);
-    if (dryRun) {
-      core.info('🔍 Running in DRY RUN mode - no issues will be created');
+    let value;
+    if (MULTI_VALUE_FIELDS.includes(field)) {
+      const parse = field === 'labels' ? parseLabels : parseAssignees;
+      value = values.flatMap(([, columnValue]) => parse(columnValue, source.separator));
+      if (value.length === 0 && source.default !== undefined) {
+        value = parse(source.default, source.separator);
+      }
+    } else if (values.length === 1 && !source.headings) {
+      value = values[0][1];
+    } else if (values.length > 0) {
+      // Several columns are combined into one value, under a heading per column when requested
+      value = values
+        .map(([column, columnValue]) => (source.headings ? `### ${column}\n\n${columnValue}` : String(columnValue)))
+        .join(source.separator !== undefined ? source.separator : field === 'body' ? '\n\n' : ' ');
+    } else {
+      value = source.default;
     }
 
-    // Parse file based on format
-    let issues;
-    if (fileFormat === 'csv') {
-      issues = await parseCsvFile(filePath);
+    mapped[field] = value;
+  });
+
+  return mapped;
+}
+
+/**
+ * Convert a row exported from another tracker with the preset of its source.
+ * The original columns stay available to field-mapping.
+ * @param {Object} issue - Raw issue object from the input file
+ * @param {string} source - Name of the preset in SOURCE_PRESETS
+ * @returns {Object} Row with the issue fields of the preset, still tagged with its source
+ */
+function applySourcePreset(issue, source) {
+  if (!issue || typeof issue !== 'object') {
+    return issue;
+  }
+
+  const converted = { ...issue };
+  Object.entries(SOURCE_PRESETS[source].convert(issue)).forEach(([field, value]) => {
+    if (value !== undefined) {
+      converted[field] = value;
+    }
+  });
+  converted[ROW_SOURCE] = issue[ROW_SOURCE];
+  return converted;
+}
+
+/**
+ * Get the non-empty values of a column, which may be repeated
+ * @param {Object} issue - Raw issue object from the input file
+ * @param {string} column - Column name
+ * @returns {Array} Trimmed values of the column
+ */
+function getColumnValues(issue, column) {
+  const value = getColumnValue(issue, column);
+  return (Array.isArray(value) ? value : [value])
+    .filter(item => item !== undefined && item !== null && String(item).trim() !== '')
+    .map(item => String(item).trim());
+}
+
+/**
+ * Convert a row of a Jira CSV export.
+ * Priority and Issue Type become labels, Status and Resolution the state,
+ * the first Fix Version the milestone and the issue key the external id.
+ * @param {Object} issue - Raw row, with repeated columns collected into arrays
+ * @returns {Object} Issue fields
+ */
+function convertJiraRow(issue) {
+  const first = column => getColumnValues(issue, column)[0];
+  const labels = getColumnValues(issue, 'Labels');
+  const priority = first('Priority');
+  const issueType = first('Issue Type');
+  if (priority) {
+    labels.push(`priority:${priority.toLowerCase()}`);
+  }
+  if (issueType) {
+    labels.push(`type:${issueType.toLowerCase()}`);
+  }
+
+  const status = first('Status');
+  const resolution = first('Resolution');
+  const isClosed = (status && JIRA_CLOSED_STATUSES.includes(status.toLowerCase())) ||
+    (resolution && resolution.toLowerCase() !== 'unresolved');
+
+  return {
+    title: first('Summary'),
+    body: convertJiraMarkup(first('Description') || ''),
+    labels,
+    milestone: first('Fix Version/s') || first('Fix versions'),
+    id: first('Issue key'),
+    state: status || resolution ? (isClosed ? 'closed' : 'open') : undefined,
+    comments: getColumnValues(issue, 'Comment').map(parseJiraComment)
+  };
+}
+
+/**
+ * Parse a Comment column of a Jira export, formatted as "timestamp;author id;text"
+ * @param {string} comment - Value of the column
+ * @returns {Object} Comment with body, author and created_at
+ */
+function parseJiraComment(comment) {
+  const match = comment.match(/^([^;\n]*);([^;\n]*);([\s\S]*)$/);
+  if (!match) {
+    return { body: convertJiraMarkup(comment) };
+  }
+  return { body: convertJiraMarkup(match[3].trim()), author: match[2].trim() || undefined, created_at: match[1].trim() || undefined };
+}
+
+/**
+ * Get the first non-empty value among several possible columns
+ * @param {Object} issue - Raw issue object from the input file
+ * @param {...string} columns - Column names, in order of preference
+ * @returns {string|undefined} Trimmed value
+ */
+function getFirstColumnValue(issue, ...columns) {
+  for (const column of columns) {
+    const [value] = getColumnValues(issue, column);
+    if (value !== undefined) {
+      return value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Append a footer recording where an issue was imported from
+ * @param {string} body - Issue body
+ * @param {string} tracker - Name of the tracker the issue was exported from
+ * @param {Array} details - [label, value] pairs; pairs without a value are left out
+ * @returns {string} Body with the footer
+ */
+function addSourceFooter(body, tracker, details) {
+  const lines = details.filter(([, value]) => value).map(([label, value]) => `- ${label}: ${value}`);
+  const footer = ['---', `_Imported from ${tracker}_`, '', ...lines].join('\n');
+  return body ? `${body}\n\n${footer}` : footer;
+}
+
+/**
+ * Convert a row of a GitLab issues export, as CSV or as JSON from the API.
+ * Weight becomes a label, the original ID, URL and due date go to the body footer.
+ * @param {Object} issue - Raw row
+ * @returns {Object} Issue fields
+ */
+function convertGitLabRow(issue) {
+  const labels = parseLabels(getColumnValue(issue, 'Labels'));
+  const weight = getFirstColumnValue(issue, 'Weight');
+  if (weight) {
+    labels.push(`weight:${weight}`);
+  }
+
+  // The JSON export holds the milestone as an object
+  const milestone = getColumnValue(issue, 'Milestone');
+  const milestoneTitle = milestone && typeof milestone === 'object' ? milestone.title : getFirstColumnValue(issue, 'Milestone');
+  const state = getFirstColumnValue(issue, 'State');
+  const id = getFirstColumnValue(issue, 'Issue ID', 'iid');
+
+  return {
+    title: getFirstColumnValue(issue, 'Title'),
+    body: addSourceFooter(getFirstColumnValue(issue, 'Description') || '', 'GitLab', [
+      ['Original ID', id && `#${id}`],
+      ['Original URL', getFirstColumnValue(issue, 'URL', 'web_url')],
+      ['Due date', getFirstColumnValue(issue, 'Due Date', 'due_date')]
+    ]),
+    labels,
+    milestone: milestoneTitle || undefined,
+    milestone_due_on: milestone && typeof milestone === 'object' && milestone.due_date ? milestone.due_date : undefined,
+    id,
+    state: state ? (state.toLowerCase() === 'closed' ? 'closed' : 'open') : undefined
+  };
+}
+
+/**
+ * Convert a row of an Azure Boards CSV query export.
+ * Work Item Type, Area Path and Priority become labels, the last segment of the
+ * Iteration Path the milestone, and the original ID, URL and due date go to the body footer.
+ * @param {Object} issue - Raw row
+ * @returns {Object} Issue fields
+ */
+function convertAzureBoardsRow(issue) {
+  const labels = parseLabels(getColumnValue(issue, 'Tags'), ';');
+  const workItemType = getFirstColumnValue(issue, 'Work Item Type');
+  const areaPath = getFirstColumnValue(issue, 'Area Path');
+  const priority = getFirstColumnValue(issue, 'Priority');
+  if (workItemType) {
+    labels.push(`type:${workItemType.toLowerCase()}`);
+  }
+  if (areaPath) {
+    labels.push(`area:${areaPath.replace(/\\/g, '/')}`);
+  }
+  if (priority) {
+    labels.push(`priority:${priority}`);
+  }
+
+  // The root of an iteration path is the project itself, not an iteration
+  const iterationPath = getFirstColumnValue(issue, 'Iteration Path');
+  const iterations = iterationPath ? iterationPath.split('\\') : [];
+  const state = getFirstColumnValue(issue, 'State');
+  const id = getFirstColumnValue(issue, 'ID');
+
+  return {
+    title: getFirstColumnValue(issue, 'Title'),
+    body: addSourceFooter(getFirstColumnValue(issue, 'Description') || '', 'Azure Boards', [
+      ['Original ID', id],
+      ['Original URL', getFirstColumnValue(issue, 'URL')],
+      ['Due date', getFirstColumnValue(issue, 'Due Date', 'Target Date')]
+    ]),
+    labels,
+    milestone: iterations.length > 1 ? iterations[iterations.length - 1].trim() : undefined,
+    id,
+    state: state ? (AZURE_BOARDS_CLOSED_STATES.includes(state.toLowerCase()) ? 'closed' : 'open') : undefined
+  };
+}
+
+/**
+ * Convert Jira wiki markup to Markdown.
+ * Code and noformat blocks are kept verbatim as fenced code blocks.
+ * @param {string} text - Text in Jira wiki markup
+ * @returns {string} Markdown text
+ */
+function convertJiraMarkup(text) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  const blocks = /((?<!\{)\{code(?::[^}]*)?\}(?!\})[\s\S]*?\{code\}|\{noformat[^}]*\}[\s\S]*?\{noformat\})/;
+  return text.replace(/\r\n/g, '\n').split(blocks).map((part, index) => {
+    if (index % 2 === 1) {
+      const language = part.startsWith('{code:') ? part.slice(6, part.indexOf('}')).split('|')[0].trim() : '';
+      const content = part.slice(part.indexOf('}') + 1, part.lastIndexOf('{')).replace(/^\n/, '').replace(/\n$/, '');
+      return `\`\`\`${language}\n${content}\n\`\`\``;
+    }
+
+    return part
+      .replace(/^([*#]+)\s+/gm, (_match, marker) => `${'  '.repeat(marker.length - 1)}${marker.endsWith('#') ? '1.' : '-'} `)
+      .replace(/^h([1-6])\.\s+/gm, (_match, level) => `${'#'.repeat(Number(level))} `)
+      .replace(/(^|\W)\*(\S(?:[^*\n]*\S)?)\*(?=\W|$)/gm, '$1**$2**')
+      .replace(/(^|\W)_(\S(?:[^_\n]*\S)?)_(?=\W|$)/gm, '$1*$2*')
+      .replace(/\{\{([^}\n]+)\}\}/g, '`$1`')
+      .replace(/\[([^|\]\n]+)\|([^\]\n]+)\]/g, '[$1]($2)')
+      .replace(/\[(https?:\/\/[^\]\s]+)\]/g, '<$1>');
+  }).join('');
+}
+
+/**
+ * Load a template given inline or as the path to a file
+ * @param {string} templateInput - Template text, or path to a template file
+ * @returns {string} Template text, or an empty string when not set
+ */
+function loadTemplate(templateInput) {
+  const input = templateInput || '';
+  const trimmed = input.trim();
+  if (trimmed && !trimmed.includes('\n') && fs.existsSync(trimmed) && fs.statSync(trimmed).isFile()) {
+    return fs.readFileSync(trimmed, 'utf8');
+  }
+  return input;
+}
+
+/**
+ * Render a template with the fields of a row.
+ * Supports {{field}} variables, {{#field}}...{{/field}} sections, which repeat for each item of a list
+ * (available as {{.}}) or render once when the field is set, and {{^field}}...{{/field}} inverted sections.
+ * {{ref:...}} placeholders are left untouched.
+ * @param {string} template - Template text
+ * @param {Object} issue - Raw issue object whose fields are the variables
+ * @param {Set} unknown - Collects the names of variables that are not columns of the row
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, issue, unknown) {
+  return renderTemplateWith(template, [issue], unknown);
+}
+
+/**
+ * Render a template against a stack of contexts, innermost first
+ * @param {string} template - Template text
+ * @param {Array} contexts - Current list items, then the row
+ * @param {Set} unknown - Collects the names of unknown variables
+ * @returns {string} Rendered text
+ */
+function renderTemplateWith(template, contexts, unknown) {
+  const tags = /\{\{([#^])\s*([^}]+?)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\s*([^}]+?)\s*\}\}/g;
+
+  return template.replace(tags, (match, type, sectionName, inner, name) => {
+    if (name !== undefined) {
+      return name.startsWith('ref:') ? match : formatTemplateValue(resolveTemplateVariable(name, contexts, unknown));
+    }
+
+    let value = resolveTemplateVariable(sectionName, contexts, unknown);
+    // Labels and assignees read from CSV are still separated strings, so they are split to be iterated
+    if (typeof value === 'string' && MULTI_VALUE_FIELDS.includes(sectionName.toLowerCase())) {
+      value = sectionName.toLowerCase() === 'labels' ? parseLabels(value) : parseAssignees(value);
+    }
+    const isSet = Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== false &&
+      String(value).trim() !== '';
+    if (type === '^') {
+      return isSet ? '' : renderTemplateWith(inner, contexts, unknown);
+    }
+    if (!isSet) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => renderTemplateWith(inner, [item, ...contexts], unknown)).join('');
+    }
+    return renderTemplateWith(inner, contexts, unknown);
+  });
+}
+
+/**
+ * Look up a template variable in the current list item, then in the row
+ * @param {string} name - Variable name, or "." for the current list item
+ * @param {Array} contexts - Current list items, then the row
+ * @param {Set} unknown - Collects the names of unknown variables
+ * @returns {*} Value of the variable, or undefined
+ */
+function resolveTemplateVariable(name, contexts, unknown) {
+  if (name === '.') {
+    return contexts[0];
+  }
+
+  for (const context of contexts) {
+    if (context && typeof context === 'object' && !Array.isArray(context)) {
+      const value = getColumnValue(context, name);
+      if (value !== undefined) {
+        return value;
+      }
+    }
+  }
+
+  unknown.add(name);
+  return undefined;
+}
+
+/**
+ * Format a value for insertion into a rendered template
+ * @param {*} value - Value of a variable
+ * @returns {string} Text, with lists separated by commas
+ */
+function formatTemplateValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.filter(item => item !== undefined && item !== null && typeof item !== 'object').join(', ');
+  }
+  return typeof value === 'object' ? '' : String(value);
+}
+
+/**
+ * Replace the body of a row with the body template rendered with its fields
+ * @param {Object} issue - Raw issue object from the input file
+ * @param {number} index - Index of the row
+ * @param {string} template - Body template
+ * @param {Array} warnings - Optional list collecting the warnings of the row
+ * @returns {Object} Row with the rendered body, still tagged with its source
+ */
+function applyBodyTemplate(issue, index, template, warnings) {
+  if (!template || !issue || typeof issue !== 'object') {
+    return issue;
+  }
+
+  const unknown = new Set();
+  const rendered = { ...issue, body: renderTemplate(template, issue, unknown).trim() };
+  rendered[ROW_SOURCE] = issue[ROW_SOURCE];
+  delete rendered.description;
+
+  unknown.forEach(name => {
+    reportWarning(`Body template of the issue ${describeRow(issue, index)} uses unknown variable "${name}"`, warnings);
+  });
+  return rendered;
+}
+
+/**
+ * Merge the default labels, assignees and milestone into a row
+ * @param {Object} issue - Raw issue object from the input file
+ * @param {Object} defaults - Default labels and assignees (arrays) and milestone
+ * @returns {Object} Row with the defaults, still tagged with its source
+ */
+function applyRowDefaults(issue, defaults) {
+  if (!issue || typeof issue !== 'object') {
+    return issue;
+  }
+
+  const merged = { ...issue };
+  merged[ROW_SOURCE] = issue[ROW_SOURCE];
+  if (defaults.labels.length > 0) {
+    merged.labels = [...new Set([...parseLabels(issue.labels), ...defaults.labels])];
+  }
+  if (defaults.assignees.length > 0) {
+    merged.assignees = [...new Set([...parseAssignees(issue.assignees), ...defaults.assignees])];
+  }
+  if (defaults.milestone && (issue.milestone === undefined || issue.milestone === null || String(issue.milestone).trim() === '')) {
+    merged.milestone = defaults.milestone;
+  }
+  return merged;
+}
+
+/**
+ * Get the id of the parent row of a row
+ * @param {Object} issue - Raw issue object from the input file
+ * @returns {string|null} Id of the parent, or null
+ */
+function getParentId(issue) {
+  if (!issue || issue.parent === undefined || issue.parent === null) {
+    return null;
+  }
+  return String(issue.parent).trim() || null;
+}
+
+/**
+ * Find the ids referenced by {{ref:id}} placeholders
+ * @param {...string} texts - Texts to search; values that are not strings are ignored
+ * @returns {Array} Referenced ids, without duplicates
+ */
+function findReferences(...texts) {
+  const ids = new Set();
+  texts.filter(text => typeof text === 'string').forEach(text => {
+    for (const match of text.matchAll(REFERENCE_PLACEHOLDER)) {
+      ids.add(match[1]);
+    }
+  });
+  return [...ids];
+}
+
+/**
+ * Replace {{ref:id}} placeholders with the numbers of the referenced issues
+ * @param {string} text - Text with placeholders
+ * @param {Map} references - Issues by external id, each { number, repository }
+ * @param {Array} warnings - Optional list collecting unresolved references; null to ignore them
+ * @param {string} repository - Optional owner/name of the issue the text belongs to
+ * @returns {string} Text with the known references replaced by #number, or owner/name#number
+ *   for issues of another repository
+ */
+function resolveReferences(text, references, warnings, repository) {
+  return text.replace(REFERENCE_PLACEHOLDER, (placeholder, id) => {
+    const reference = references.get(id);
+    if (reference) {
+      return formatReference(reference, repository);
+    }
+    if (warnings) {
+      reportWarning(`Reference to "${id}" could not be resolved because it has no issue`, warnings);
+    }
+    return placeholder;
+  });
+}
+
+/**
+ * Format a reference to an issue, qualified with its repository when it lives in another one
+ * @param {Object} reference - { number, repository } of the referenced issue
+ * @param {string} repository - Optional owner/name the reference is written from
+ * @returns {string} #number or owner/name#number
+ */
+function formatReference(reference, repository) {
+  const sameRepository = !reference.repository || !repository ||
+    reference.repository.toLowerCase() === repository.toLowerCase();
+  return sameRepository ? `#${reference.number}` : `${reference.repository}#${reference.number}`;
+}
+
+/**
+ * Plan the order in which rows are processed, so that parents and referenced rows come first.
+ * References to ids that are not rows of the file must match an existing imported issue.
+ * @param {Array} issues - Raw issue objects from the input files
+ * @param {Object} existingIssues - Optional index returned by getExistingIssues
+ * @param {string} bodyTemplate - Optional body template, whose references apply to every row
+ * @returns {Object} Row indices in processing order, the indices each row depends on, and the
+ *   problems of the rows, each { index, message }, for every duplicate id, dangling reference and cycle.
+ *   The dependency closing a cycle is dropped, so that every row can still be processed.
+ */
+function planHierarchy(issues, existingIssues, bodyTemplate) {
+  const rowsById = new Map();
+  const problems = [];
+
+  issues.forEach((issue, index) => {
+    const id = issue && typeof issue === 'object' ? getExternalId(issue) : null;
+    if (!id) return;
+    if (rowsById.has(id)) {
+      const first = rowsById.get(id);
+      problems.push({ index, message: `Issue ${describeRow(issue, index)} has the same id "${id}" as the issue ${describeRow(issues[first], first)}` });
     } else {
-      issues = await parseJsonFile(filePath);
+      rowsById.set(id, index);
+    }
+  });
+
+  const dependencies = issues.map((issue, index) => {
+    if (!issue || typeof issue !== 'object') {
+      return [];
+    }
+
+    const ids = [...new Set([getParentId(issue), ...findReferences(issue.body, issue.description, bodyTemplate)])];
+    return ids.filter(id => {
+      if (!id || rowsById.has(id)) {
+        return Boolean(id);
+      }
+      if (!existingIssues || !existingIssues.byExternalId.has(id)) {
+        problems.push({ index, message: `Issue ${describeRow(issue, index)} references unknown id "${id}"` });
+      }
+      return false;
+    }).map(id => rowsById.get(id));
+  });
+
+  // Depth-first search, keeping rows without dependencies in file order
+  const order = [];
+  const visiting = [];
+  const visited = new Set();
+  const visit = index => {
+    if (visited.has(index)) return;
+    const position = visiting.indexOf(index);
+    if (position !== -1) {
+      const cycle = [...visiting.slice(position), index].map(row => getExternalId(issues[row]));
+      problems.push({ index, message: `Circular reference between issues: ${cycle.join(' → ')}` });
+      const last = visiting[visiting.length - 1];
+      dependencies[last] = dependencies[last].filter(dependency => dependency !== index);
+      return;
+    }
+
+    visiting.push(index);
+    dependencies[index].forEach(visit);
+    visiting.pop();
+    visited.add(index);
+    order.push(index);
+  };
+  issues.forEach((_issue, index) => visit(index));
+
+  return { order, dependencies, problems };
+}
+
+/**
+ * Attach a newly created issue to its parent as a sub-issue
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {string} parentId - Id of the parent row
+ * @param {Object} result - Result of createIssue for the child
+ * @param {Object} options - Issues by external id (references), owner/name of the issue (repository),
+ *   dryRun and the warnings of the row
+ * @returns {Promise<void>}
+ */
+async function addSubIssue(octokit, context, parentId, result, options) {
+  const parent = options.references.get(parentId);
+
+  if (options.dryRun) {
+    core.info(`[DRY RUN] Would add "${result.title}" as a sub-issue of ${parent ? formatReference(parent, options.repository) : `"${parentId}"`}`);
+    return;
+  }
+  if (!parent) {
+    reportWarning(`Issue #${result.number} was not added as a sub-issue because its parent "${parentId}" has no issue`, options.warnings);
+    return;
+  }
+
+  // The parent may live in another repository than its sub-issue
+  const { owner, repo } = parent.repository ? parseRepository(parent.repository) : context.repo;
+  const parentReference = formatReference(parent, options.repository);
+  try {
+    await octokit.request('POST /repos/{owner}/{repo}/issues/{issue_number}/sub_issues', {
+      owner,
+      repo,
+      issue_number: parent.number,
+      sub_issue_id: result.id
+    });
+    core.info(`🔗 Added #${result.number} as a sub-issue of ${parentReference}`);
+  } catch (error) {
+    reportWarning(`Failed to add #${result.number} as a sub-issue of ${parentReference}: ${formatApiError(error)}`, options.warnings);
+  }
+}
+
+/**
+ * Normalize the comments of a row
+ * @param {Array|string} comments - Comments as strings or objects with body (or text), author and created_at (or date)
+ * @returns {Array} Comments with a non-empty body, in their original order
+ */
+function parseComments(comments) {
+  if (!comments) return [];
+
+  return (Array.isArray(comments) ? comments : [comments])
+    .map(comment => {
+      if (typeof comment === 'string') {
+        return { body: comment.trim() };
+      }
+      if (!comment || typeof comment !== 'object') {
+        return null;
+      }
+      const body = comment.body !== undefined ? comment.body : comment.text;
+      return {
+        body: body === undefined || body === null ? '' : String(body).trim(),
+        author: comment.author ? String(comment.author) : undefined,
+        created_at: comment.created_at || comment.date ? String(comment.created_at || comment.date) : undefined
+      };
+    })
+    .filter(comment => comment && comment.body !== '');
+}
+
+/**
+ * Load a comments file keyed by the id of the issue each comment belongs to
+ * @param {string} commentsFile - CSV, JSON or YAML file with issue_id, body, author and created_at
+ * @returns {Promise<Map>} Comments by issue id, in file order
+ */
+async function loadCommentsFile(commentsFile) {
+  if (!fs.existsSync(commentsFile)) {
+    throw new Error(`Comments file not found: ${commentsFile}`);
+  }
+
+  // A JSON or YAML comments file may hold a plain list or an object with a "comments" list
+  const entries = ['.json', '.yml', '.yaml'].includes(path.extname(commentsFile).toLowerCase()) ?
+    parseFileSection(commentsFile, 'comments', { allowArray: true }) :
+    await parseCsvFile(commentsFile);
+
+  const commentsById = new Map();
+  entries.forEach((entry, index) => {
+    const issueId = entry && entry.issue_id !== undefined && entry.issue_id !== null ? String(entry.issue_id).trim() : '';
+    if (!issueId) {
+      throw new Error(`Comment at index ${index} of ${commentsFile} is missing an issue_id`);
+    }
+    if (!commentsById.has(issueId)) {
+      commentsById.set(issueId, []);
+    }
+    commentsById.get(issueId).push(entry);
+  });
+  return commentsById;
+}
+
+/**
+ * Add the comments of the comments file to the row with the same id
+ * @param {Object} issue - Raw issue object from the input file
+ * @param {Map} commentsById - Comments by issue id from loadCommentsFile
+ * @returns {Object} Row with its comments, still tagged with its source
+ */
+function applyComments(issue, commentsById) {
+  const id = issue && typeof issue === 'object' ? getExternalId(issue) : null;
+  if (!id || !commentsById.has(id)) {
+    return issue;
+  }
+
+  const withComments = { ...issue, comments: [...parseComments(issue.comments), ...commentsById.get(id)] };
+  withComments[ROW_SOURCE] = issue[ROW_SOURCE];
+  return withComments;
+}
+
+/**
+ * Post the comments of a row on its newly created issue, in order.
+ * Failures are reported as warnings of the row and do not fail the issue.
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} result - Result of createIssue
+ * @param {Array} comments - Comments from parseComments
+ * @param {Object} options - Comment header template (header), dryRun and the warnings of the row
+ * @returns {Promise<number>} Number of comments posted
+ */
+async function postComments(octokit, context, result, comments, options) {
+  const { owner, repo } = context.repo;
+
+  if (options.dryRun) {
+    core.info(`[DRY RUN] Would add ${comments.length} comments to "${result.title}"`);
+    return 0;
+  }
+
+  let posted = 0;
+  for (const [position, comment] of comments.entries()) {
+    const header = renderTemplate(options.header, comment, new Set()).trim();
+    try {
+      await octokit.rest.issues.createComment({
+        owner,
+        repo,
+        issue_number: result.number,
+        body: header ? `${header}\n\n${comment.body}` : comment.body
+      });
+      posted++;
+    } catch (error) {
+      reportWarning(`Failed to add comment ${position + 1} to #${result.number}: ${formatApiError(error)}`, options.warnings);
+    }
+  }
+
+  core.info(`💬 Added ${posted} of ${comments.length} comments to #${result.number}`);
+  return posted;
+}
+
+/**
+ * Parse the URL of a Projects (v2) board
+ * @param {string} projectUrl - URL such as https://github.com/orgs/<org>/projects/<number>
+ * @returns {Object} Owner type ("organization" or "user"), owner login and project number
+ */
+function parseProjectUrl(projectUrl) {
+  const match = projectUrl.trim().match(/^https:\/\/github\.com\/(orgs|users)\/([^/]+)\/projects\/(\d+)(?:\/.*)?$/);
+  if (!match) {
+    throw new Error(`Invalid project-url "${projectUrl}" (expected https://github.com/orgs/<org>/projects/<number> or https://github.com/users/<user>/projects/<number>)`);
+  }
+  return { ownerType: match[1] === 'orgs' ? 'organization' : 'user', login: match[2], number: parseInt(match[3], 10) };
+}
+
+/**
+ * Load the id and fields of a Projects (v2) board
+ * @param {Object} octokit - GitHub API client
+ * @param {string} projectUrl - URL of the project
+ * @returns {Promise<Object>} Project id, title and fields by lowercase name
+ */
+async function getProject(octokit, projectUrl) {
+  const { ownerType, login, number } = parseProjectUrl(projectUrl);
+
+  let project;
+  try {
+    const data = await octokit.graphql(PROJECT_QUERY.replace('%OWNER%', ownerType), { login, number });
+    project = data[ownerType] && data[ownerType].projectV2;
+  } catch (error) {
+    throw new Error(`Failed to load project ${projectUrl}: ${error.message}`);
+  }
+  if (!project) {
+    throw new Error(`Project not found: ${projectUrl}`);
+  }
+
+  const fields = new Map();
+  project.fields.nodes.filter(field => field && field.name).forEach(field => {
+    fields.set(field.name.toLowerCase(), field);
+  });
+  return { id: project.id, title: project.title, fields };
+}
+
+/**
+ * Get the project field values of a row, from project.<Field> columns or a "project" mapping
+ * @param {Object} issue - Raw issue object from the input file
+ * @returns {Array} [field name, value] pairs with a non-empty value
+ */
+function getProjectFieldValues(issue) {
+  if (!issue || typeof issue !== 'object') {
+    return [];
+  }
+
+  const values = Object.keys(issue)
+    .filter(key => key.toLowerCase().startsWith(PROJECT_FIELD_PREFIX))
+    .map(key => [key.slice(PROJECT_FIELD_PREFIX.length), issue[key]]);
+  if (issue.project && typeof issue.project === 'object' && !Array.isArray(issue.project)) {
+    values.push(...Object.entries(issue.project));
+  }
+
+  return values
+    .filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '')
+    .map(([name, value]) => [name.trim(), typeof value === 'string' ? value.trim() : value]);
+}
+
+/**
+ * Convert the value of a project field into its GraphQL input
+ * @param {Object} project - Project from getProject
+ * @param {string} name - Field name
+ * @param {*} value - Value from the row
+ * @returns {Object} Field and its value input
+ * @throws {Error} When the field or the value doesn't exist in the project
+ */
+function resolveProjectFieldValue(project, name, value) {
+  const field = project.fields.get(name.toLowerCase());
+  if (!field) {
+    throw new Error(`unknown project field "${name}"`);
+  }
+
+  const text = String(value);
+  switch (field.dataType) {
+  case 'TEXT':
+    return { field, value: { text } };
+  case 'NUMBER': {
+    const number = Number(text);
+    if (!Number.isFinite(number)) {
+      throw new Error(`project field "${field.name}" expects a number, got "${text}"`);
+    }
+    return { field, value: { number } };
+  }
+  case 'DATE': {
+    const date = new Date(text);
+    if (isNaN(date.getTime())) {
+      throw new Error(`project field "${field.name}" expects a date, got "${text}"`);
+    }
+    return { field, value: { date: date.toISOString().slice(0, 10) } };
+  }
+  case 'SINGLE_SELECT': {
+    const option = field.options.find(candidate => candidate.name.toLowerCase() === text.toLowerCase());
+    if (!option) {
+      throw new Error(`project field "${field.name}" has no option "${text}" (expected one of ${field.options.map(candidate => candidate.name).join(', ')})`);
+    }
+    return { field, value: { singleSelectOptionId: option.id } };
+  }
+  case 'ITERATION': {
+    const iterations = [...field.configuration.iterations, ...field.configuration.completedIterations];
+    const iteration = iterations.find(candidate => candidate.title.toLowerCase() === text.toLowerCase());
+    if (!iteration) {
+      throw new Error(`project field "${field.name}" has no iteration "${text}"`);
+    }
+    return { field, value: { iterationId: iteration.id } };
+  }
+  default:
+    throw new Error(`project field "${field.name}" of type ${field.dataType} cannot be set from a file`);
+  }
+}
+
+/**
+ * Check the project field values of every row against the project schema
+ * @param {Array} issues - Raw issue objects from the input files
+ * @param {Object} project - Project from getProject
+ * @returns {Array} Problems in row order, each { index, message }, for every unknown field and invalid value
+ */
+function validateProjectFields(issues, project) {
+  const problems = [];
+  issues.forEach((issue, index) => {
+    getProjectFieldValues(issue).forEach(([name, value]) => {
+      try {
+        resolveProjectFieldValue(project, name, value);
+      } catch (error) {
+        problems.push({ index, message: `Issue ${describeRow(issue, index)}: ${error.message}` });
+      }
+    });
+  });
+  return problems;
+}
+
+/**
+ * Add a newly created issue to the project and set its field values.
+ * Failures are reported as warnings of the row and do not fail the issue.
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} project - Project from getProject
+ * @param {Object} issue - Raw issue object, holding the project field values
+ * @param {Object} result - Result of createIssue
+ * @param {Object} options - dryRun and the warnings of the row
+ * @returns {Promise<void>}
+ */
+async function addToProject(octokit, project, issue, result, options) {
+  const fieldValues = getProjectFieldValues(issue).map(([name, value]) => resolveProjectFieldValue(project, name, value));
+
+  if (options.dryRun) {
+    const fields = getProjectFieldValues(issue).map(([name, value]) => `${name}: ${value}`);
+    core.info(`[DRY RUN] Would add "${result.title}" to project "${project.title}"${fields.length ? ` (${fields.join(', ')})` : ''}`);
+    return;
+  }
+
+  let itemId;
+  try {
+    const data = await octokit.graphql(`mutation($projectId: ID!, $contentId: ID!) {
+      addProjectV2ItemById(input: { projectId: $projectId, contentId: $contentId }) { item { id } }
+    }`, { projectId: project.id, contentId: result.nodeId });
+    itemId = data.addProjectV2ItemById.item.id;
+  } catch (error) {
+    reportWarning(`Failed to add #${result.number} to project "${project.title}": ${error.message}`, options.warnings);
+    return;
+  }
+
+  for (const { field, value } of fieldValues) {
+    try {
+      await octokit.graphql(`mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $value: ProjectV2FieldValue!) {
+        updateProjectV2ItemFieldValue(input: { projectId: $projectId, itemId: $itemId, fieldId: $fieldId, value: $value }) {
+          projectV2Item { id }
+        }
+      }`, { projectId: project.id, itemId, fieldId: field.id, value });
+    } catch (error) {
+      reportWarning(`Failed to set project field "${field.name}" of #${result.number}: ${error.message}`, options.warnings);
+    }
+  }
+  core.info(`📌 Added #${result.number} to project "${project.title}"`);
+}
+
+/**
+ * Load the type-mapping input, mapping labels to issue types
+ * @param {string} typeMappingInput - Inline YAML/JSON mapping, or path to a YAML/JSON file
+ * @returns {Map|null} Issue type names by lowercase label, or null when not set
+ */
+function loadTypeMapping(typeMappingInput) {
+  const input = (typeMappingInput || '').trim();
+  if (!input) {
+    return null;
+  }
+
+  const isFile = !input.includes('\n') && fs.existsSync(input) && fs.statSync(input).isFile();
+  try {
+    const data = parseYamlContent(isFile ? fs.readFileSync(input, 'utf8') : input);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('expected a mapping of labels to issue types');
+    }
+
+    const mapping = new Map();
+    Object.entries(data).forEach(([label, type]) => {
+      if (typeof type !== 'string' || type.trim() === '') {
+        throw new Error(`the type of label "${label}" must be a non-empty string`);
+      }
+      mapping.set(label.trim().toLowerCase(), type.trim());
+    });
+    return mapping;
+  } catch (error) {
+    throw new Error(`Invalid type-mapping${isFile ? ` in ${input}` : ''}: ${error.message}`);
+  }
+}
+
+/**
+ * Turn the first mapped label of a row into its issue type, unless the row sets a type.
+ * Mapped labels are removed, since the type replaces them.
+ * @param {Object} issue - Raw issue object from the input file
+ * @param {Map} typeMapping - Issue type names by lowercase label, from loadTypeMapping
+ * @returns {Object} Row with its type, still tagged with its source
+ */
+function applyTypeMapping(issue, typeMapping) {
+  if (!issue || typeof issue !== 'object') {
+    return issue;
+  }
+
+  const labels = parseLabels(issue.labels);
+  const mappedLabels = labels.filter(label => typeMapping.has(label.toLowerCase()));
+  if (mappedLabels.length === 0) {
+    return issue;
+  }
+
+  const typed = { ...issue, labels: labels.filter(label => !mappedLabels.includes(label)) };
+  typed[ROW_SOURCE] = issue[ROW_SOURCE];
+  if (issue.type === undefined || issue.type === null || String(issue.type).trim() === '') {
+    typed.type = typeMapping.get(mappedLabels[0].toLowerCase());
+  }
+  return typed;
+}
+
+/**
+ * Load the issue types configured for the organization owning the repository
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @returns {Promise<Map>} Names of the enabled issue types, by lowercase name
+ */
+async function getIssueTypes(octokit, context) {
+  const { owner } = context.repo;
+
+  try {
+    const response = await octokit.request('GET /orgs/{org}/issue-types', { org: owner });
+    const issueTypes = new Map();
+    response.data.filter(issueType => issueType.is_enabled !== false).forEach(issueType => {
+      issueTypes.set(issueType.name.toLowerCase(), issueType.name);
+    });
+    core.info(`🏷️ Found ${issueTypes.size} issue types in ${owner}`);
+    return issueTypes;
+  } catch (error) {
+    const reason = error.status === 404 ? 'issue types are only available for organization repositories' : formatApiError(error);
+    throw new Error(`Failed to load the issue types of ${owner}: ${reason}`);
+  }
+}
+
+/**
+ * Parse YAML content, reporting the line and column of syntax errors
+ * @param {string} content - YAML document
+ * @returns {*} Parsed data
+ */
+function parseYamlContent(content) {
+  const document = YAML.parseDocument(content);
+
+  if (document.errors.length > 0) {
+    const error = document.errors[0];
+    const message = error.message.split(' at line ')[0];
+    if (error.linePos) {
+      const [{ line, col }] = error.linePos;
+      throw new Error(`line ${line}, column ${col}: ${message}`);
+    }
+    throw new Error(message);
+  }
+
+  return document.toJS();
+}
+
+/**
+ * Read an optional top-level section of a JSON or YAML input file
+ * @param {string} filePath - Path to the JSON or YAML file
+ * @param {string} section - Name of the section, e.g. "labels"
+ * @param {Object} options - { format } of the file ("json" or "yaml", by default from the extension)
+ *   and { allowArray } to accept a plain array as the section itself
+ * @returns {Array} Entries of the section, or an empty array
+ */
+function parseFileSection(filePath, section, options = {}) {
+  const format = options.format || (['.yml', '.yaml'].includes(path.extname(filePath).toLowerCase()) ? 'yaml' : 'json');
+
+  try {
+    const fileContent = fs.readFileSync(filePath, 'utf8');
+    const data = format === 'yaml' ? parseYamlContent(fileContent) : JSON.parse(fileContent);
+    if (!data || typeof data !== 'object') {
+      return [];
+    }
+    if (Array.isArray(data)) {
+      return options.allowArray ? data : [];
+    }
+    if (!data[section]) {
+      return [];
+    }
+    if (!Array.isArray(data[section])) {
+      throw new Error(`"${section}" must be an array`);
+    }
+    return data[section];
+  } catch (error) {
+    throw new Error(`Failed to parse ${format.toUpperCase()} file: ${error.message}`);
+  }
+}
+
+/**
+ * Load label definitions from the JSON or YAML input file or a companion labels file
+ * @param {string} filePath - Path to the issues file
+ * @param {string} fileFormat - Format of the issues file
+ * @param {string} labelsFile - Optional path to a labels CSV, JSON or YAML file
+ * @returns {Promise<Array>} Normalized label definitions
+ */
+async function loadLabelDefinitions(filePath, fileFormat, labelsFile) {
+  let entries = [];
+
+  if (labelsFile) {
+    if (!fs.existsSync(labelsFile)) {
+      throw new Error(`Labels file not found: ${labelsFile}`);
+    }
+    // A JSON or YAML labels file may hold a plain list or an object with a "labels" list
+    entries = ['.json', '.yml', '.yaml'].includes(path.extname(labelsFile).toLowerCase()) ?
+      parseFileSection(labelsFile, 'labels', { allowArray: true }) :
+      await parseCsvFile(labelsFile);
+  } else if (STRUCTURED_FORMATS.includes(fileFormat)) {
+    entries = parseFileSection(filePath, 'labels', { format: fileFormat });
+  }
+
+  return parseLabelDefinitions(entries);
+}
+
+/**
+ * Validate and normalize label definitions
+ * @param {Array} entries - Label definitions with name, color and description
+ * @returns {Array} Normalized label definitions
+ */
+function parseLabelDefinitions(entries) {
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+      throw new Error(`Label definition at index ${index} is missing a valid name`);
+    }
+
+    const color = entry.color ? String(entry.color).trim().replace(/^#/, '').toLowerCase() : undefined;
+    if (color && !/^[0-9a-f]{6}$/.test(color)) {
+      throw new Error(`Label "${entry.name}" has an invalid color "${entry.color}" (expected a hex color such as "d73a4a")`);
+    }
+
+    return {
+      name: entry.name.trim(),
+      color,
+      description: entry.description !== undefined && entry.description !== null ? String(entry.description) : undefined
+    };
+  });
+}
+
+/**
+ * Validate issue object has required fields
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} issue - Issue object to validate
+ * @param {number} index - Index for error reporting
+ * @param {Map} milestoneMap - Map of milestone titles to numbers
+ * @param {Object} options - Optional { collaboratorCache } shared between rows, { issueTypes } of the organization and { warnings } of the row
+ * @returns {Promise<Object>} Validated and normalized issue object
+ */
+async function validateIssue(octokit, context, issue, index, milestoneMap, options = {}) {
+  if (!issue || typeof issue !== 'object') {
+    throw new Error(`Issue ${describeRow(issue, index)} is not an object`);
+  }
+
+  if (!issue.title || typeof issue.title !== 'string' || issue.title.trim() === '') {
+    throw new Error(`Issue ${describeRow(issue, index)} is missing a valid title`);
+  }
+
+  const title = issue.title.trim();
+  if (title.length > MAX_TITLE_LENGTH) {
+    throw new Error(`Issue ${describeRow(issue, index)} has a title of ${title.length} characters (at most ${MAX_TITLE_LENGTH})`);
+  }
+
+  const state = parseState(issue.state);
+  if (state === false) {
+    throw new Error(`Issue ${describeRow(issue, index)} has an invalid state "${issue.state}" (expected "open" or "closed")`);
+  }
+
+  const stateReason = parseStateReason(issue.state_reason);
+  if (stateReason === false) {
+    throw new Error(`Issue ${describeRow(issue, index)} has an invalid state_reason "${issue.state_reason}" (expected "completed" or "not_planned")`);
+  }
+
+  const type = issue.type === undefined || issue.type === null ? '' : String(issue.type).trim();
+  if (type && (!options.issueTypes || !options.issueTypes.has(type.toLowerCase()))) {
+    const known = options.issueTypes ? [...options.issueTypes.values()] : [];
+    throw new Error(`Issue ${describeRow(issue, index)} has an unknown type "${type}"` +
+      (known.length > 0 ? ` (expected one of ${known.join(', ')})` : ''));
+  }
+
+  const labels = parseLabels(issue.labels);
+  const longLabel = labels.find(label => label.length > MAX_LABEL_LENGTH);
+  if (longLabel) {
+    throw new Error(`Issue ${describeRow(issue, index)} has a label longer than ${MAX_LABEL_LENGTH} characters: "${longLabel}"`);
+  }
+
+  const externalId = getExternalId(issue);
+  const body = addExternalIdMarker(issue.body || issue.description || '', externalId);
+  if (body.length > MAX_BODY_LENGTH) {
+    throw new Error(`Issue ${describeRow(issue, index)} has a body of ${body.length} characters (at most ${MAX_BODY_LENGTH})`);
+  }
+
+  const parsedAssignees = parseAssignees(issue.assignees);
+  const validAssignees = await validateAssignees(octokit, context, parsedAssignees, options.collaboratorCache, options.warnings);
+
+  return {
+    title,
+    body,
+    labels,
+    assignees: validAssignees,
+    milestone: resolveMilestone(issue.milestone, milestoneMap, options.warnings),
+    externalId: externalId || undefined,
+    number: parseIssueNumber(issue.number),
+    state,
+    stateReason: state === 'closed' ? stateReason : undefined,
+    type: type ? options.issueTypes.get(type.toLowerCase()) : undefined
+  };
+}
+
+/**
+ * Parse the issue state of a row
+ * @param {string} state - State from the input file
+ * @returns {string|undefined|false} "open", "closed", undefined when not set, or false when invalid
+ */
+function parseState(state) {
+  if (state === undefined || state === null || state === '') return undefined;
+
+  const normalized = String(state).trim().toLowerCase();
+  return ['open', 'closed'].includes(normalized) ? normalized : false;
+}
+
+/**
+ * Parse the reason an issue was closed
+ * @param {string} stateReason - "completed" or "not_planned" (case-insensitive, "not planned" also accepted)
+ * @returns {string|undefined|false} Normalized reason, undefined when empty, or false when invalid
+ */
+function parseStateReason(stateReason) {
+  if (stateReason === undefined || stateReason === null || stateReason === '') return undefined;
+
+  const normalized = String(stateReason).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return ['completed', 'not_planned'].includes(normalized) ? normalized : false;
+}
+
+/**
+ * Parse the issue number of a row
+ * @param {string|number} number - Issue number from the input file
+ * @returns {number|undefined} Issue number or undefined
+ */
+function parseIssueNumber(number) {
+  if (number === undefined || number === null || number === '') return undefined;
+
+  const parsed = parseInt(number, 10);
+  return !isNaN(parsed) && parsed > 0 ? parsed : undefined;
+}
+
+/**
+ * Get the external id of a row, if one was provided
+ * @param {Object} issue - Raw issue object from the input file
+ * @returns {string|null} External id or null
+ */
+function getExternalId(issue) {
+  const value = [issue.id, issue.external_id, issue['external-id'], issue.externalId]
+    .find(candidate => candidate !== undefined && candidate !== null && candidate !== '');
+
+  if (value === undefined) return null;
+
+  const externalId = String(value).trim();
+  return externalId || null;
+}
+
+/**
+ * Append a hidden marker recording the external id to an issue body
+ * @param {string} body - Issue body
+ * @param {string|null} externalId - External id of the row
+ * @returns {string} Body including the marker
+ */
+function addExternalIdMarker(body, externalId) {
+  if (!externalId) return body;
+
+  const marker = `<!-- issue-importer-id: ${externalId} -->`;
+  return body ? `${body}\n\n${marker}` : marker;
+}
+
+/**
+ * Extract the external id marker from an issue body
+ * @param {string} body - Issue body
+ * @returns {string|null} External id or null
+ */
+function extractExternalId(body) {
+  if (!body) return null;
+
+  const match = body.match(EXTERNAL_ID_MARKER);
+  return match ? match[1] : null;
+}
+
+/**
+ * Fetch all issues of the repository and index them for duplicate detection
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @returns {Promise<Object>} Maps of existing issues by external id and by title
+ */
+async function getExistingIssues(octokit, context) {
+  const { owner, repo } = context.repo;
+  const existingIssues = {
+    byExternalId: new Map(),
+    byTitle: new Map(),
+    byNumber: new Map()
+  };
+
+  const issues = await octokit.paginate(octokit.rest.issues.listForRepo, {
+    owner,
+    repo,
+    state: 'all',
+    per_page: 100
+  });
+
+  issues
+    .filter(issue => !issue.pull_request)
+    .forEach(issue => registerExistingIssue(existingIssues, issue));
+
+  core.info(`🔎 Found ${existingIssues.byNumber.size} existing issues for duplicate detection`);
+  return existingIssues;
+}
+
+/**
+ * Add an issue to the existing issues index
+ * @param {Object} existingIssues - Index returned by getExistingIssues
+ * @param {Object} issue - Issue with number, title, body and html_url
+ * @param {boolean} indexTitle - Whether the issue can be matched by title; false for issues
+ *   created by this run, so rows sharing a title each get their own issue
+ */
+function registerExistingIssue(existingIssues, issue, indexTitle = true) {
+  const externalId = extractExternalId(issue.body);
+  if (externalId && !existingIssues.byExternalId.has(externalId)) {
+    existingIssues.byExternalId.set(externalId, issue);
+  }
+  if (indexTitle && !existingIssues.byTitle.has(issue.title)) {
+    existingIssues.byTitle.set(issue.title, issue);
+  }
+  existingIssues.byNumber.set(issue.number, issue);
+}
+
+/**
+ * Find an already imported issue matching a validated issue.
+ * Rows with an issue number or an external id are matched on it; other rows can fall back to the exact title.
+ * @param {Object} issue - Validated issue object
+ * @param {Object} existingIssues - Index returned by getExistingIssues
+ * @param {boolean} matchTitle - Whether rows without a number or external id are matched on their exact title
+ * @param {Object} sync - Optional { syncLabel, matchedNumbers } in sync mode, where rows without a number or
+ *   external id are matched on their exact title with an open managed issue that no other row matched
+ * @returns {Object|null} Matching issue or null
+ */
+function findExistingIssue(issue, existingIssues, matchTitle, sync) {
+  if (!existingIssues) return null;
+
+  if (issue.number) {
+    return existingIssues.byNumber.get(issue.number) || null;
+  }
+
+  if (issue.externalId) {
+    return existingIssues.byExternalId.get(issue.externalId) || null;
+  }
+
+  if (sync) {
+    return [...existingIssues.byNumber.values()].find(existingIssue =>
+      existingIssue.title === issue.title &&
+      !sync.matchedNumbers.has(existingIssue.number) &&
+      isManagedIssue(existingIssue, sync.syncLabel)) || null;
+  }
+
+  return matchTitle ? existingIssues.byTitle.get(issue.title) || null : null;
+}
+
+/**
+ * Parse labels from various formats
+ * @param {string|Array} labels - Labels in string or array format
+ * @param {string} separator - Optional separator of the values in a string, instead of "," and ";"
+ * @returns {Array} Array of label strings
+ */
+function parseLabels(labels, separator) {
+  if (!labels) return [];
+
+  if (Array.isArray(labels)) {
+    return labels.filter(label => label && typeof label === 'string');
+  }
+
+  if (typeof labels === 'string') {
+    if (separator) {
+      return labels.split(separator).map(label => label.trim()).filter(label => label);
+    }
+
+    // Replace semicolons with commas, then split on commas
+    const normalized = labels.replace(/;/g, ',');
+    return normalized.split(',').map(label => label.trim()).filter(label => label);
+  }
+
+  return [];
+}
+
+/**
+ * Parse assignees from various formats
+ * @param {string|Array} assignees - Assignees in string or array format
+ * @param {string} separator - Optional separator of the values in a string, instead of "," and ";"
+ * @returns {Array} Array of assignee usernames
+ */
+function parseAssignees(assignees, separator) {
+  if (!assignees) return [];
+
+  if (Array.isArray(assignees)) {
+    return assignees.filter(assignee => assignee && typeof assignee === 'string');
+  }
+
+  if (typeof assignees === 'string') {
+    if (separator) {
+      return assignees.split(separator).map(assignee => assignee.trim()).filter(assignee => assignee);
+    }
+
+    // Replace semicolons with commas, then split on commas
+    const normalized = assignees.replace(/;/g, ',');
+    return normalized.split(',').map(assignee => assignee.trim()).filter(assignee => assignee);
+  }
+
+  return [];
+}
+
+/**
+ * Validate assignees exist in the repository
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Array} assignees - Array of assignee usernames
+ * @param {Map} cache - Optional map of pending or completed checks, shared between rows
+ * @param {Array} warnings - Optional list collecting the warnings of the row
+ * @returns {Promise<Array>} Array of valid assignee usernames
+ */
+async function validateAssignees(octokit, context, assignees, cache, warnings) {
+  if (!assignees || assignees.length === 0) return [];
+
+  const { owner, repo } = context.repo;
+  const validAssignees = [];
+
+  for (const assignee of assignees) {
+    try {
+      // Check if user exists and has access to the repository
+      const cacheKey = assignee.toLowerCase();
+      const check = cache?.get(cacheKey) || octokit.rest.repos.checkCollaborator({
+        owner,
+        repo,
+        username: assignee
+      });
+      cache?.set(cacheKey, check);
+      await check;
+      validAssignees.push(assignee);
+      core.debug(`✅ Assignee '${assignee}' is valid`);
+    } catch (error) {
+      if (error.status === 404) {
+        reportWarning(`⚠️ Assignee '${assignee}' is not a collaborator of this repository. Skipping.`, warnings);
+      } else {
+        reportWarning(`⚠️ Could not validate assignee '${assignee}': ${error.message}. Skipping.`, warnings);
+      }
+    }
+  }
+
+  return validAssignees;
+}
+
+/**
+ * Get the labels of the repository
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @returns {Promise<Map>} Map of lowercased label names to labels
+ */
+async function getRepositoryLabels(octokit, context) {
+  const { owner, repo } = context.repo;
+  const repoLabels = await octokit.paginate(octokit.rest.issues.listLabelsForRepo, {
+    owner,
+    repo,
+    per_page: 100
+  });
+  // Label names are case-insensitive on GitHub
+  const existingLabels = new Map(repoLabels.map(label => [label.name.toLowerCase(), label]));
+  core.info(`🏷️ Found ${existingLabels.size} labels in repository`);
+  return existingLabels;
+}
+
+/**
+ * Create or update repository labels so they match the definitions.
+ * Labels referenced by rows but not declared are created with a default color when createMissing is set.
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Array} definitions - Label definitions from parseLabelDefinitions
+ * @param {Array} referencedLabels - Label names used by the rows
+ * @param {boolean} createMissing - Whether to create undeclared labels
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @param {Map} repositoryLabels - Optional labels from getRepositoryLabels, fetched when omitted
+ * @returns {Promise<Object>} Names of created and updated labels
+ */
+async function syncLabels(octokit, context, definitions, referencedLabels, createMissing, dryRun, repositoryLabels) {
+  const { owner, repo } = context.repo;
+  const summary = { created: [], updated: [] };
+
+  const existingLabels = repositoryLabels || await getRepositoryLabels(octokit, context);
+
+  const wanted = new Map(definitions.map(definition => [definition.name.toLowerCase(), definition]));
+  referencedLabels.forEach(name => {
+    const key = name.toLowerCase();
+    if (wanted.has(key) || existingLabels.has(key)) return;
+
+    if (createMissing) {
+      wanted.set(key, { name, color: DEFAULT_LABEL_COLOR });
+    } else {
+      core.warning(`⚠️ Label "${name}" does not exist in the repository and is not declared.`);
+    }
+  });
+
+  for (const [key, definition] of wanted) {
+    const existing = existingLabels.get(key);
+
+    if (!existing) {
+      if (dryRun) {
+        core.info(`[DRY RUN] Would create label "${definition.name}"`);
+      } else {
+        await octokit.rest.issues.createLabel({
+          owner,
+          repo,
+          name: definition.name,
+          color: definition.color || DEFAULT_LABEL_COLOR,
+          description: definition.description
+        });
+        core.info(`🏷️ Created label "${definition.name}"`);
+      }
+      summary.created.push(definition.name);
+      continue;
+    }
+
+    const colorChanged = definition.color && definition.color !== existing.color.toLowerCase();
+    const descriptionChanged = definition.description !== undefined && definition.description !== (existing.description || '');
+    if (!colorChanged && !descriptionChanged) continue;
+
+    if (dryRun) {
+      core.info(`[DRY RUN] Would update label "${existing.name}"`);
+    } else {
+      await octokit.rest.issues.updateLabel({
+        owner,
+        repo,
+        name: existing.name,
+        color: definition.color || existing.color,
+        description: definition.description !== undefined ? definition.description : existing.description
+      });
+      core.info(`🏷️ Updated label "${existing.name}"`);
+    }
+    summary.updated.push(existing.name);
+  }
+
+  return summary;
+}
+
+/**
+ * Get all milestones for the repository and create a mapping
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {boolean} required - Whether a failed listing is an error instead of a warning, as when
+ *   missing milestones are created and would otherwise duplicate the existing ones
+ * @returns {Promise<Map>} Map of milestone titles to milestone numbers
+ */
+async function getMilestoneMapping(octokit, context, required = false) {
+  try {
+    const { owner, repo } = context.repo;
+    const milestones = await octokit.paginate(octokit.rest.issues.listMilestones, {
+      owner,
+      repo,
+      state: 'all', // Include both open and closed milestones
+      per_page: 100
+    });
+
+    const milestoneMap = new Map();
+    milestones.forEach(milestone => {
+      milestoneMap.set(milestone.title, milestone.number);
+    });
+
+    core.info(`📋 Found ${milestoneMap.size} milestones in repository`);
+    return milestoneMap;
+  } catch (error) {
+    if (required) {
+      throw new Error(`Failed to fetch milestones: ${error.message}`);
+    }
+    core.warning(`Failed to fetch milestones: ${error.message}`);
+    return new Map();
+  }
+}
+
+/**
+ * Load milestone definitions from the JSON or YAML "milestones" section or the milestone_* CSV columns
+ * @param {string} filePath - Path to the issues file
+ * @param {string} fileFormat - Format of the issues file
+ * @param {Array} issues - Raw issue objects from the input file
+ * @returns {Array} Normalized milestone definitions
+ */
+function loadMilestoneDefinitions(filePath, fileFormat, issues) {
+  const entries = STRUCTURED_FORMATS.includes(fileFormat) ? parseFileSection(filePath, 'milestones', { format: fileFormat }) : [];
+
+  // Rows can describe their milestone through milestone_due_on, milestone_description and milestone_state
+  issues.forEach(issue => {
+    if (!issue || !issue.milestone || typeof issue.milestone !== 'string') return;
+    if (!issue.milestone_due_on && !issue.milestone_description && !issue.milestone_state) return;
+
+    entries.push({
+      title: issue.milestone,
+      due_on: issue.milestone_due_on,
+      description: issue.milestone_description,
+      state: issue.milestone_state
+    });
+  });
+
+  return parseMilestoneDefinitions(entries);
+}
+
+/**
+ * Validate and normalize milestone definitions
+ * @param {Array} entries - Milestone definitions with title, due_on, description and state
+ * @returns {Array} Normalized milestone definitions
+ */
+function parseMilestoneDefinitions(entries) {
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry.title !== 'string' || entry.title.trim() === '') {
+      throw new Error(`Milestone definition at index ${index} is missing a valid title`);
+    }
+
+    const definition = { title: entry.title.trim() };
+
+    if (entry.due_on) {
+      const dueOn = new Date(entry.due_on);
+      if (isNaN(dueOn.getTime())) {
+        throw new Error(`Milestone "${definition.title}" has an invalid due date "${entry.due_on}"`);
+      }
+      definition.due_on = dueOn.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+
+    if (entry.description) {
+      definition.description = String(entry.description);
+    }
+
+    if (entry.state) {
+      const state = String(entry.state).trim().toLowerCase();
+      if (!['open', 'closed'].includes(state)) {
+        throw new Error(`Milestone "${definition.title}" has an invalid state "${entry.state}" (expected "open" or "closed")`);
+      }
+      definition.state = state;
+    }
+
+    return definition;
+  });
+}
+
+/**
+ * Create milestones that are declared or referenced by rows but missing from the repository
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Array} definitions - Milestone definitions from loadMilestoneDefinitions
+ * @param {Array} referencedMilestones - Milestone titles used by the rows
+ * @param {Map} milestoneMap - Map of milestone titles to numbers, updated in place (with { pending: title } for the milestones a dry run would create)
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @returns {Promise<Array>} Titles of created milestones
+ */
+async function createMissingMilestones(octokit, context, definitions, referencedMilestones, milestoneMap, dryRun) {
+  const { owner, repo } = context.repo;
+  const wanted = new Map();
+  definitions.forEach(definition => {
+    // Later definitions of the same milestone only fill in missing attributes
+    wanted.set(definition.title, { ...definition, ...wanted.get(definition.title) });
+  });
+  referencedMilestones.forEach(title => {
+    if (!wanted.has(title)) {
+      wanted.set(title, { title });
+    }
+  });
+
+  const created = [];
+  for (const [title, definition] of wanted) {
+    if (milestoneMap.has(title)) continue;
+
+    if (dryRun) {
+      core.info(`[DRY RUN] Would create milestone "${title}"${definition.due_on ? ` due on ${definition.due_on}` : ''}`);
+      // Rows of a dry run show the milestone they would get once it is created
+      milestoneMap.set(title, { pending: title });
+    } else {
+      const response = await octokit.rest.issues.createMilestone({
+        owner,
+        repo,
+        ...definition
+      });
+      milestoneMap.set(title, response.data.number);
+      core.info(`📋 Created milestone "${title}" (#${response.data.number})`);
+    }
+    created.push(title);
+  }
+
+  return created;
+}
+
+/**
+ * Resolve milestone to number
+ * @param {string|number} milestone - Milestone title or number
+ * @param {Map} milestoneMap - Map of milestone titles to numbers
+ * @param {Array} warnings - Optional list collecting the warnings of the row
+ * @returns {number|Object|null} Milestone number, { pending: title } for a milestone a dry run
+ *   would create, or null
+ */
+function resolveMilestone(milestone, milestoneMap, warnings) {
+  if (!milestone) return null;
+
+  // If it's already a number, return it
+  if (typeof milestone === 'number') {
+    return milestone;
+  }
+
+  // If it's a string that can be parsed as a number, parse it
+  const parsed = parseInt(milestone, 10);
+  if (!isNaN(parsed) && parsed.toString() === milestone.toString()) {
+    return parsed;
+  }
+
+  // Try to find by milestone title
+  if (milestoneMap.has(milestone)) {
+    return milestoneMap.get(milestone);
+  }
+
+  // If milestone not found, log warning and return null
+  reportWarning(`Milestone "${milestone}" not found in repository. Issue will be created without milestone.`, warnings);
+  return null;
+}
+
+/**
+ * Log a warning and add it to the warnings of the row being processed
+ * @param {string} message - Warning message
+ * @param {Array} warnings - Optional list collecting the warnings of the row
+ */
+function reportWarning(message, warnings) {
+  if (!warnings || !PREFLIGHT_WARNINGS.has(warnings)) {
+    core.warning(message);
+  }
+  if (warnings) {
+    warnings.push(message);
+  }
+}
+
+/**
+ * Create a GitHub issue
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} issue - Issue object
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @param {Array} warnings - Optional list collecting the warnings of the row
+ * @returns {Promise<Object>} Created issue or dry run result, with the final state of the issue
+ */
+async function createIssue(octokit, context, issue, dryRun, warnings) {
+  const { owner, repo } = context.repo;
+  const stateReason = issue.stateReason || 'completed';
+
+  if (dryRun) {
+    core.info(`[DRY RUN] Would create issue: "${issue.title}"`);
+    core.info(`  Labels: ${issue.labels.join(', ') || 'None'}`);
+    core.info(`  Assignees: ${issue.assignees.join(', ') || 'None'}`);
+    core.info(`  Milestone: ${formatChangeValue(issue.milestone)}`);
+    if (issue.type) {
+      core.info(`  Type: ${issue.type}`);
+    }
+    core.info(`  State: ${issue.state === 'closed' ? `closed (${stateReason})` : 'open'}`);
+    return {
+      status: 'dry-run',
+      title: issue.title,
+      number: 'DRY-RUN',
+      state: issue.state === 'closed' ? 'closed' : 'open'
+    };
+  }
+
+  try {
+    // Create the issue payload
+    const payload = {
+      owner,
+      repo,
+      title: issue.title,
+      body: issue.body
+    };
+
+    // Only add labels if they exist
+    if (issue.labels && issue.labels.length > 0) {
+      payload.labels = issue.labels;
+    }
+
+    // Only add assignees if they exist
+    if (issue.assignees && issue.assignees.length > 0) {
+      payload.assignees = issue.assignees;
+    }
+
+    // Only add milestone if it exists
+    if (issue.milestone) {
+      payload.milestone = issue.milestone;
+    }
+
+    if (issue.type) {
+      payload.type = issue.type;
+    }
+
+    const response = await octokit.rest.issues.create(payload);
+
+    core.info(`✅ Created issue #${response.data.number}: "${issue.title}"`);
+
+    // Issues are always created open, so closed rows are closed right away
+    let state = 'open';
+    if (issue.state === 'closed') {
+      try {
+        await octokit.rest.issues.update({
+          owner,
+          repo,
+          issue_number: response.data.number,
+          state: 'closed',
+          state_reason: stateReason
+        });
+        state = 'closed';
+        core.info(`🔒 Closed issue #${response.data.number} as ${stateReason}`);
+      } catch (error) {
+        reportWarning(`Issue #${response.data.number} was created but could not be closed: ${formatApiError(error)}`, warnings);
+      }
+    }
+
+    return {
+      status: 'created',
+      title: issue.title,
+      number: response.data.number,
+      url: response.data.html_url,
+      id: response.data.id,
+      nodeId: response.data.node_id,
+      state
+    };
+  } catch (error) {
+    const errorMessage = formatApiError(error);
+
+    core.error(`❌ Failed to create issue "${issue.title}": ${errorMessage}`);
+    if (error.documentation_url) {
+      core.error(`📚 See: ${error.documentation_url}`);
+    }
+
+    return {
+      status: 'failed',
+      title: issue.title,
+      error: errorMessage
+    };
+  }
+}
+
+/**
+ * Compare an existing issue with a validated issue
+ * @param {Object} existingIssue - Issue as returned by the GitHub API
+ * @param {Object} issue - Validated issue object
+ * @returns {Object} Map of changed field names to { from, to } values
+ */
+function getIssueChanges(existingIssue, issue) {
+  const current = {
+    title: existingIssue.title,
+    body: existingIssue.body || '',
+    labels: (existingIssue.labels || []).map(label => typeof label === 'string' ? label : label.name).sort(),
+    assignees: (existingIssue.assignees || []).map(assignee => assignee.login).sort(),
+    milestone: existingIssue.milestone ? existingIssue.milestone.number : null,
+    state: existingIssue.state,
+    type: existingIssue.type ? existingIssue.type.name : null
+  };
+  const desired = {
+    title: issue.title,
+    body: issue.body,
+    labels: [...issue.labels].sort(),
+    assignees: [...issue.assignees].sort(),
+    milestone: issue.milestone || null,
+    state: issue.state || current.state,
+    type: issue.type || current.type
+  };
+
+  const changes = {};
+  Object.keys(desired).forEach(field => {
+    if (JSON.stringify(current[field]) !== JSON.stringify(desired[field])) {
+      changes[field] = { from: current[field], to: desired[field] };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Update an existing GitHub issue to match a validated issue
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} existingIssue - Issue as returned by the GitHub API
+ * @param {Object} issue - Validated issue object
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @returns {Promise<Object>} Update result
+ */
+async function updateIssue(octokit, context, existingIssue, issue, dryRun) {
+  const { owner, repo } = context.repo;
+  const changes = getIssueChanges(existingIssue, issue);
+  const changedFields = Object.keys(changes);
+  const result = {
+    title: issue.title,
+    number: existingIssue.number,
+    url: existingIssue.html_url,
+    state: changes.state ? changes.state.to : existingIssue.state
+  };
+
+  if (changedFields.length === 0) {
+    core.info(`➖ Issue #${existingIssue.number} is unchanged: "${issue.title}"`);
+    return { status: 'unchanged', ...result };
+  }
+
+  if (dryRun) {
+    core.info(`[DRY RUN] Would update issue #${existingIssue.number}: "${issue.title}"`);
+    changedFields.forEach(field => {
+      core.info(`  ${field}: ${formatChangeValue(changes[field].from)} → ${formatChangeValue(changes[field].to)}`);
+    });
+    return { status: 'dry-run', action: 'updated', ...result, changes: changedFields };
+  }
+
+  try {
+    const payload = {
+      owner,
+      repo,
+      issue_number: existingIssue.number
+    };
+    changedFields.forEach(field => {
+      payload[field] = changes[field].to;
+    });
+    if (changes.state && changes.state.to === 'closed' && issue.stateReason) {
+      payload.state_reason = issue.stateReason;
+    }
+
+    await octokit.rest.issues.update(payload);
+
+    core.info(`🔄 Updated issue #${existingIssue.number} (${changedFields.join(', ')}): "${issue.title}"`);
+    return { status: 'updated', ...result, changes: changedFields };
+  } catch (error) {
+    const errorMessage = formatApiError(error);
+
+    core.error(`❌ Failed to update issue #${existingIssue.number}: ${errorMessage}`);
+    return {
+      status: 'failed',
+      ...result,
+      error: errorMessage
+    };
+  }
+}
+
+/**
+ * Check whether an issue is open and carries the sync label
+ * @param {Object} issue - Issue as returned by the GitHub API
+ * @param {string} syncLabel - Label marking issues managed by the import
+ * @returns {boolean} Whether sync mode manages the issue
+ */
+function isManagedIssue(issue, syncLabel) {
+  // Label names are case-insensitive on GitHub, which returns them in the case they were created with
+  const name = syncLabel.toLowerCase();
+  return issue.state === 'open' &&
+    (issue.labels || []).some(label => (typeof label === 'string' ? label : label.name).toLowerCase() === name);
+}
+
+/**
+ * Find managed issues that no longer have a row in the file
+ * @param {Object} existingIssues - Index returned by getExistingIssues
+ * @param {string} syncLabel - Label marking issues managed by the import
+ * @param {Set} matchedNumbers - Numbers of issues matched by a row
+ * @returns {Array} Open managed issues without a row
+ */
+function findRemovedIssues(existingIssues, syncLabel, matchedNumbers) {
+  return [...existingIssues.byNumber.values()].filter(issue =>
+    !matchedNumbers.has(issue.number) && isManagedIssue(issue, syncLabel)
+  );
+}
+
+/**
+ * Close an issue whose row was removed from the file
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} existingIssue - Issue as returned by the GitHub API
+ * @param {boolean} dryRun - Whether this is a dry run
+ * @returns {Promise<Object>} Close result
+ */
+async function closeIssue(octokit, context, existingIssue, dryRun) {
+  const { owner, repo } = context.repo;
+  const result = {
+    title: existingIssue.title,
+    number: existingIssue.number,
+    url: existingIssue.html_url
+  };
+
+  if (dryRun) {
+    core.info(`[DRY RUN] Would close issue #${existingIssue.number} as not planned: "${existingIssue.title}"`);
+    return { status: 'dry-run', action: 'closed', ...result };
+  }
+
+  try {
+    await octokit.rest.issues.update({
+      owner,
+      repo,
+      issue_number: existingIssue.number,
+      state: 'closed',
+      state_reason: 'not_planned'
+    });
+
+    core.info(`🗑️ Closed issue #${existingIssue.number} as not planned: "${existingIssue.title}"`);
+    return { status: 'closed', ...result };
+  } catch (error) {
+    const errorMessage = formatApiError(error);
+
+    core.error(`❌ Failed to close issue #${existingIssue.number}: ${errorMessage}`);
+    return {
+      status: 'failed',
+      ...result,
+      error: errorMessage
+    };
+  }
+}
+
+/**
+ * Format a field value for the dry-run diff output
+ * @param {*} value - Field value
+ * @returns {string} Printable value
+ */
+function formatChangeValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : 'None';
+  }
+  if (value === null || value === undefined || value === '') {
+    return 'None';
+  }
+  if (typeof value === 'string' && value.includes('\n')) {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'object' && value.pending) {
+    return `${value.pending} (to be created)`;
+  }
+  return String(value);
+}
+
+/**
+ * Build a readable message from a GitHub API error
+ * @param {Error} error - Error thrown by Octokit
+ * @returns {string} Error message
+ */
+function formatApiError(error) {
+  // Parse GitHub API validation errors for better user experience
+  if (error.status === 422 && error.response?.data?.errors) {
+    const validationErrors = error.response.data.errors.map(err =>
+      `${err.field}: ${err.code} - ${err.message || 'Validation failed'}`
+    ).join('; ');
+    return `Validation Failed: ${validationErrors}`;
+  }
+  return error.message;
+}
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Route every request of an Octokit client through requestWithRetry
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} options - { maxRetries, onThrottle } passed to requestWithRetry
+ * @returns {Object} Request statistics ({ retries, waitMs }) updated as requests are made
+ */
+function installRateLimiter(octokit, options = {}) {
+  const stats = { retries: 0, waitMs: 0 };
+  const state = { resumeAt: 0 };
+
+  octokit.hook.wrap('request', (request, requestOptions) =>
+    requestWithRetry(request, requestOptions, { ...options, stats, state })
+  );
+
+  return stats;
+}
+
+/**
+ * Perform a request, waiting while the rate limit is exhausted and retrying
+ * rate-limited and server errors with exponential backoff and jitter
+ * @param {Function} request - Function performing the request
+ * @param {Object} requestOptions - Options of the request (method, url, ...)
+ * @param {Object} settings - { maxRetries, baseDelay, maxDelay, stats, state, onThrottle, wait }
+ * @returns {Promise<Object>} Response of the request
+ */
+async function requestWithRetry(request, requestOptions, settings) {
+  const {
+    maxRetries = 5,
+    stats = { retries: 0, waitMs: 0 },
+    state = { resumeAt: 0 },
+    onThrottle,
+    wait = sleep
+  } = settings;
+
+  for (let attempt = 0; ; attempt++) {
+    // Wait until the quota resets when a previous response reported it exhausted
+    const quotaWait = state.resumeAt - Date.now();
+    if (quotaWait > 0) {
+      core.info(`⏳ Rate limit exhausted, waiting ${Math.ceil(quotaWait / 1000)}s for it to reset`);
+      stats.waitMs += quotaWait;
+      await wait(quotaWait);
+    }
+
+    try {
+      const response = await request(requestOptions);
+      updateRateLimitState(state, response.headers);
+      return response;
+    } catch (error) {
+      const headers = error.response?.headers || {};
+      updateRateLimitState(state, headers);
+
+      const delay = getRetryDelay(error, attempt, { ...settings, method: requestOptions.method });
+      if (delay === null || attempt >= maxRetries) {
+        throw error;
+      }
+
+      if (isThrottled(error) && onThrottle) {
+        onThrottle();
+      }
+
+      stats.retries++;
+      stats.waitMs += delay;
+      core.warning(`⚠️ ${requestOptions.method} ${requestOptions.url} failed with status ${error.status}. Retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt + 1}/${maxRetries})`);
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Remember when the primary rate limit resets if a response reports it exhausted
+ * @param {Object} state - Shared rate limit state ({ resumeAt })
+ * @param {Object} headers - Response headers
+ */
+function updateRateLimitState(state, headers = {}) {
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    state.resumeAt = Math.max(state.resumeAt, parseInt(headers['x-ratelimit-reset'], 10) * 1000);
+  }
+}
+
+/**
+ * Check whether an error is a GitHub rate limit (throttling) response
+ * @param {Error} error - Error thrown by Octokit
+ * @returns {boolean} True for 429 and rate-limit/abuse 403 responses
+ */
+function isThrottled(error) {
+  if (error.status === 429) return true;
+  if (error.status !== 403) return false;
+
+  const headers = error.response?.headers || {};
+  return headers['retry-after'] !== undefined ||
+    headers['x-ratelimit-remaining'] === '0' ||
+    /rate limit|abuse/i.test(error.message || '');
+}
+
+/**
+ * Compute how long to wait before retrying a failed request
+ * @param {Error} error - Error thrown by Octokit
+ * @param {number} attempt - Zero-based attempt number
+ * @param {Object} settings - { baseDelay, maxDelay } and the HTTP method of the request (method)
+ * @returns {number|null} Delay in milliseconds, or null when the error should not be retried
+ */
+function getRetryDelay(error, attempt, settings = {}) {
+  const { baseDelay = 1000, maxDelay = 60000 } = settings;
+  const throttled = isThrottled(error);
+
+  if (!throttled && !(error.status >= 500)) {
+    return null;
+  }
+  // A POST that failed on the server may still have been applied, such as a created issue,
+  // so retrying it could create a duplicate
+  if (error.status >= 500 && String(settings.method || '').toUpperCase() === 'POST') {
+    return null;
+  }
+
+  const headers = error.response?.headers || {};
+  if (headers['retry-after'] !== undefined) {
+    const retryAfter = String(headers['retry-after']).trim();
+    const delay = /^\d+$/.test(retryAfter) ? parseInt(retryAfter, 10) * 1000 : Date.parse(retryAfter) - Date.now();
+    if (!isNaN(delay)) {
+      return Math.max(delay, 0);
+    }
+  }
+  if (throttled && headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(parseInt(headers['x-ratelimit-reset'], 10) * 1000 - Date.now(), 0) + 1000;
+  }
+
+  // Exponential backoff with jitter
+  const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Count results by status.
+ * Dry-run results of updates and closures are counted under the action they would perform.
+ * @param {Array} results - Results of processed rows
+ * @returns {Object} Counts per status
+ */
+function countResults(results) {
+  const counts = { created: 0, updated: 0, unchanged: 0, skipped: 0, closed: 0, failed: 0, 'dry-run': 0 };
+  results.forEach(result => {
+    const status = result.status === 'dry-run' && result.action ? result.action : result.status;
+    counts[status] = (counts[status] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Count results by source file and status.
+ * Results without a source file, such as closed issues in sync mode, are not included.
+ * @param {Array} results - Results of processed rows
+ * @returns {Object} Counts per status, keyed by source file in input order
+ */
+function countResultsByFile(results) {
+  return countResultsBy(results, 'source');
+}
+
+/**
+ * Count results by target repository and status
+ * @param {Array} results - Results of processed rows and closed issues
+ * @returns {Object} Counts per status, keyed by owner/name in order of first appearance
+ */
+function countResultsByRepository(results) {
+  return countResultsBy(results, 'repository');
+}
+
+/**
+ * Count results by status, grouped by one of their fields
+ * @param {Array} results - Results to count
+ * @param {string} field - Field of the results to group by; results without it are not included
+ * @returns {Object} Counts per status, keyed by value of the field in order of first appearance
+ */
+function countResultsBy(results, field) {
+  const groups = new Map();
+  results.filter(result => result[field]).forEach(result => {
+    if (!groups.has(result[field])) {
+      groups.set(result[field], []);
+    }
+    groups.get(result[field]).push(result);
+  });
+
+  const counts = {};
+  groups.forEach((groupResults, value) => {
+    counts[value] = countResults(groupResults);
+  });
+  return counts;
+}
+
+/**
+ * Describe counts per status, such as "3 successful, 1 skipped, 0 failed"
+ * @param {Object} counts - Counts per status from countResults
+ * @returns {string} Counts text
+ */
+function formatCounts(counts) {
+  const parts = [`${counts.created + counts['dry-run']} successful`];
+  ['updated', 'unchanged', 'skipped', 'closed'].forEach(status => {
+    if (counts[status] > 0) {
+      parts.push(`${counts[status]} ${status}`);
+    }
+  });
+  parts.push(`${counts.failed} failed`);
+  return parts.join(', ');
+}
+
+/**
+ * Build the summary line of an import
+ * @param {Object} counts - Counts per status from countResults
+ * @param {Object} requestStats - Optional request statistics from installRateLimiter
+ * @returns {string} Summary text
+ */
+function formatSummary(counts, requestStats) {
+  let summary = `Import completed: ${formatCounts(counts)}`;
+  if (requestStats && (requestStats.retries > 0 || requestStats.waitMs > 0)) {
+    summary += ` (${requestStats.retries} retries, ${Math.ceil(requestStats.waitMs / 1000)}s waited for rate limits)`;
+  }
+  return summary;
+}
+
+/**
+ * Validate a row and create, update or skip its issue
+ * @param {Object} octokit - GitHub API client
+ * @param {Object} context - GitHub context
+ * @param {Object} issue - Raw issue object from the input file
+ * @param {number} index - Index for error reporting
+ * @param {Object} options - Import settings (mode, dryRun, syncLabel, milestoneMap, existingIssues,
+ *   matchTitle, collaboratorCache, issueTypes, bodyTemplate, references, commentHeader, skipClosed, project), the state shared
+ *   between the rows of the repository (matchedNumbers, unmatchedFailures), the warnings collected for this row
+ *   and the rowError found by planHierarchy or validateProjectFields, which fails the row
+ * @returns {Promise<Object>} Result of the row
+ */
+async function importIssue(octokit, context, issue, index, options) {
+  const { mode, dryRun, syncLabel, milestoneMap, existingIssues, state } = options;
+  const updateExisting = mode === 'upsert' || mode === 'sync';
+
+  try {
+    if (options.rowError) {
+      throw new Error(options.rowError);
+    }
+    const row = applyBodyTemplate(issue, index, options.bodyTemplate, options.warnings);
+    const validatedIssue = await validateIssue(octokit, context, row, index, milestoneMap, {
+      collaboratorCache: options.collaboratorCache,
+      issueTypes: options.issueTypes,
+      warnings: options.warnings
+    });
+    const repository = `${context.repo.owner}/${context.repo.repo}`;
+    if (options.references) {
+      validatedIssue.body = resolveReferences(validatedIssue.body, options.references, dryRun ? null : options.warnings, repository);
+    }
+    if (mode === 'sync' && !validatedIssue.labels.some(label => label.toLowerCase() === syncLabel.toLowerCase())) {
+      validatedIssue.labels.push(syncLabel);
+    }
+
+    // Issues are only updated when the row names them by number or by the importer marker,
+    // or in sync mode when the row has neither and the issue is managed by the import
+    const existingIssue = findExistingIssue(validatedIssue, existingIssues, options.matchTitle && !updateExisting,
+      mode === 'sync' ? { syncLabel, matchedNumbers: state.matchedNumbers } : null);
+    if (existingIssue) {
+      state.matchedNumbers.add(existingIssue.number);
+    }
+    if (options.skipClosed && validatedIssue.state === 'closed') {
+      core.info(`⏭️ Skipping "${validatedIssue.title}": closed in the file`);
+      return {
+        status: 'skipped',
+        title: validatedIssue.title,
+        number: existingIssue ? existingIssue.number : undefined,
+        url: existingIssue ? existingIssue.html_url : undefined,
+        state: existingIssue ? existingIssue.state : undefined
+      };
+    }
+    if (existingIssue && updateExisting) {
+      return await updateIssue(octokit, context, existingIssue, validatedIssue, dryRun);
+    }
+    if (existingIssue) {
+      core.info(`⏭️ Skipping "${validatedIssue.title}": already imported as #${existingIssue.number}`);
+      return {
+        status: 'skipped',
+        title: validatedIssue.title,
+        number: existingIssue.number,
+        url: existingIssue.html_url,
+        state: existingIssue.state
+      };
+    }
+    if (validatedIssue.number && updateExisting) {
+      throw new Error(`Issue #${validatedIssue.number} was not found in the repository`);
+    }
+
+    const result = await createIssue(octokit, context, validatedIssue, dryRun, options.warnings);
+    const parentId = getParentId(issue);
+    if (parentId && options.references && ['created', 'dry-run'].includes(result.status)) {
+      await addSubIssue(octokit, context, parentId, result, {
+        references: options.references,
+        repository,
+        dryRun,
+        warnings: options.warnings
+      });
+    }
+    if (options.project && ['created', 'dry-run'].includes(result.status)) {
+      await addToProject(octokit, options.project, row, result, { dryRun, warnings: options.warnings });
     }
+    const comments = parseComments(row.comments);
+    if (comments.length > 0 && ['created', 'dry-run'].includes(result.status)) {
+      await postComments(octokit, context, result, comments, {
+        header: options.commentHeader || DEFAULT_COMMENT_HEADER,
+        dryRun,
+        warnings: options.warnings
+      });
+    }
+
+    if (result.status === 'created' && existingIssues) {
+      registerExistingIssue(existingIssues, {
+        number: result.number,
+        title: validatedIssue.title,
+        body: validatedIssue.body,
+        html_url: result.url
+      }, false);
+    }
+    return result;
+  } catch (error) {
+    core.error(`❌ Failed to process issue ${describeRow(issue, index)}: ${error.message}`);
+    state.unmatchedFailures++;
+    return {
+      status: 'failed',
+      title: issue?.title || getRowFile(issue) || 'Unknown',
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Validate every row before anything is created, reporting all problems at once.
+ * Rows are checked as importIssue does, including the resolution of milestones and
+ * assignees, and the warnings a row would get count as problems. Labels that are
+ * neither in the repository nor declared are problems unless they will be created.
+ * @param {Object} octokit - GitHub API client
+ * @param {Array} issues - Raw issue objects from the input files
+ * @param {Array} rowTargets - Target repository of each row, with its milestoneMap,
+ *   collaboratorCache, issueTypes and the labels from getRepositoryLabels
+ * @param {Object} options - Optional { bodyTemplate, declaredLabels, createMissingLabels, rowProblems },
+ *   declaredLabels being the definitions from parseLabelDefinitions and rowProblems the problems,
+ *   each { index, message }, found across rows by planHierarchy and validateProjectFields
+ * @returns {Promise<Array>} Problems in row order, each { index, title, message }
+ */
+async function validateRows(octokit, issues, rowTargets, options = {}) {
+  const problems = [];
+  const declaredLabels = new Set((options.declaredLabels || []).map(definition => definition.name.toLowerCase()));
+  const rowProblems = options.rowProblems || [];
+
+  for (const [index, issue] of issues.entries()) {
+    const target = rowTargets[index];
+    const title = (issue && typeof issue.title === 'string' && issue.title.trim()) || getRowFile(issue) || 'Unknown';
+    const warnings = [];
+    PREFLIGHT_WARNINGS.add(warnings);
+    rowProblems
+      .filter(problem => problem.index === index)
+      .forEach(problem => problems.push({ index, title, message: problem.message }));
+    try {
+      const row = applyBodyTemplate(issue, index, options.bodyTemplate, warnings);
+      await validateIssue(octokit, target.context, row, index, target.milestoneMap, {
+        collaboratorCache: target.collaboratorCache,
+        issueTypes: target.issueTypes,
+        warnings
+      });
+    } catch (error) {
+      problems.push({ index, title, message: error.message });
+    }
+    if (target.labels && !options.createMissingLabels) {
+      parseLabels(issue?.labels)
+        .filter(label => !target.labels.has(label.toLowerCase()) && !declaredLabels.has(label.toLowerCase()))
+        .forEach(label => warnings.push(`Label "${label}" does not exist in ${target.name} and is not declared.`));
+    }
+    warnings.forEach(warning => {
+      problems.push({ index, title, message: `Issue ${describeRow(issue, index)}: ${warning}` });
+    });
+  }
+
+  return problems;
+}
+
+/**
+ * Summarize the problems found by validateRows
+ * @param {Array} problems - Problems returned by validateRows
+ * @param {number} total - Number of rows validated
+ * @returns {string} Summary line
+ */
+function formatValidationSummary(problems, total) {
+  if (problems.length === 0) {
+    return `Validation passed: ${total} issues checked`;
+  }
+  const invalidRows = new Set(problems.map(problem => problem.index)).size;
+  return `Validation found ${problems.length} problems in ${invalidRows} of ${total} issues`;
+}
+
+/**
+ * Load the manifest of a previous run, or start a new one
+ * @param {string} stateFile - Path to the state file
+ * @returns {Object} Manifest with a "rows" map of row keys to their last result
+ */
+function loadStateFile(stateFile) {
+  if (!fs.existsSync(stateFile)) {
+    return { version: 1, rows: {} };
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    if (!manifest || typeof manifest.rows !== 'object' || Array.isArray(manifest.rows)) {
+      throw new Error('missing "rows" object');
+    }
+    return manifest;
+  } catch (error) {
+    throw new Error(`Failed to read state file ${stateFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the key identifying a row in the state file
+ * @param {Object} issue - Raw issue object from the input file
+ * @param {number} index - Index of the row
+ * @returns {string} External id of the row, the file it was read from, or its index
+ */
+function getStateKey(issue, index) {
+  return (issue && (getExternalId(issue) || getRowFile(issue))) || `row-${index}`;
+}
+
+/**
+ * Record the result of a row in the manifest
+ * @param {Object} manifest - Manifest from loadStateFile
+ * @param {string} key - Key from getStateKey
+ * @param {number} index - Index of the row
+ * @param {Object} result - Result of the row
+ */
+function recordState(manifest, key, index, result) {
+  manifest.rows[key] = {
+    index,
+    status: result.status,
+    title: result.title,
+    number: result.number,
+    url: result.url,
+    error: result.error
+  };
+}
+
+/**
+ * Write the manifest to the state file
+ * @param {string} stateFile - Path to the state file
+ * @param {Object} manifest - Manifest from loadStateFile
+ */
+function saveStateFile(stateFile, manifest) {
+  manifest.updatedAt = new Date().toISOString();
+  fs.mkdirSync(path.dirname(path.resolve(stateFile)), { recursive: true });
+
+  // Write to a temporary file first so a cancelled job never leaves a truncated manifest
+  const tempFile = `${stateFile}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tempFile, stateFile);
+}
+
+/**
+ * Create a pool running tasks with bounded concurrency.
+ * The limit is halved each time throttle() is called, down to a single task.
+ * @param {number} concurrency - Maximum number of concurrent tasks
+ * @returns {Object} Pool with run(items, worker) and throttle()
+ */
+function createWorkerPool(concurrency) {
+  const pool = {
+    limit: concurrency,
+    active: 0
+  };
+
+  pool.throttle = () => {
+    if (pool.limit <= 1) return;
+    pool.limit = Math.max(1, Math.floor(pool.limit / 2));
+    core.warning(`⚠️ GitHub is throttling requests, reducing concurrency to ${pool.limit}`);
+  };
+
+  // Results keep the order of the items regardless of completion order
+  pool.run = (items, worker) => new Promise((resolve, reject) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const launch = () => {
+      if (next >= items.length && pool.active === 0) {
+        resolve(results);
+        return;
+      }
+      while (pool.active < pool.limit && next < items.length) {
+        const index = next++;
+        pool.active++;
+        Promise.resolve()
+          .then(() => worker(items[index], index))
+          .then(result => {
+            results[index] = result;
+            pool.active--;
+            launch();
+          })
+          .catch(error => {
+            // Rows already running finish, but no new row is started once the pool has failed
+            pool.active--;
+            next = items.length;
+            reject(error);
+          });
+      }
+    };
+
+    launch();
+  });
+
+  return pool;
+}
+
+/**
+ * Convert results into flat records for the issues output and the results file
+ * @param {Array} results - Results of processed rows
+ * @returns {Array} Records with row index, external id, source file, status, final state, number, URL and error
+ */
+function formatResultRecords(results) {
+  return results.map(result => ({
+    index: result.index !== undefined ? result.index : null,
+    externalId: result.externalId || null,
+    source: result.source || null,
+    repository: result.repository || null,
+    title: result.title,
+    status: result.status === 'dry-run' && result.action ? `dry-run:${result.action}` : result.status,
+    state: result.state || null,
+    number: typeof result.number === 'number' ? result.number : null,
+    url: result.url || null,
+    error: result.error || null
+  }));
+}
+
+/**
+ * Write result records to a JSON file, or a CSV file when the path ends in .csv
+ * @param {string} resultsFile - Path to the results file
+ * @param {Array} records - Records from formatResultRecords
+ */
+function writeResultsFile(resultsFile, records) {
+  fs.mkdirSync(path.dirname(path.resolve(resultsFile)), { recursive: true });
+
+  if (path.extname(resultsFile).toLowerCase() === '.csv') {
+    fs.writeFileSync(resultsFile, Papa.unparse(records, { columns: RESULT_COLUMNS }));
+  } else {
+    fs.writeFileSync(resultsFile, JSON.stringify(records, null, 2));
+  }
+}
+
+/**
+ * Escape text for use inside the HTML of the job summary
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format the row number of a result for the job summary
+ * @param {Object} result - Result of a row
+ * @returns {string} One-based row number, or "-" for results without a row
+ */
+function formatRowNumber(result) {
+  return result.index !== undefined && result.index !== null ? String(result.index + 1) : '-';
+}
+
+/**
+ * Render the import results as a Markdown job summary
+ * @param {Array} results - Results of processed rows
+ * @param {Object} counts - Counts per status from countResults
+ * @param {string} summary - Summary line from formatSummary
+ * @param {Object} fileCounts - Optional counts per source file from countResultsByFile
+ * @param {Object} repositoryCounts - Optional counts per repository from countResultsByRepository
+ * @returns {Promise<void>}
+ */
+async function writeJobSummary(results, counts, summary, fileCounts, repositoryCounts) {
+  const header = (...titles) => titles.map(title => ({ data: title, header: true }));
+  const issueName = result => `${repositoryCounts && result.repository ? escapeHtml(result.repository) : ''}#${result.number}`;
+  const link = result => result.url ? `<a href="${escapeHtml(result.url)}">${issueName(result)}</a>` : issueName(result);
+  const statuses = Object.keys(counts).filter(status => counts[status] > 0);
+  const addGroupTable = (heading, column, groupCounts) => {
+    core.summary
+      .addHeading(heading, 3)
+      .addTable([
+        header(column, ...statuses.map(status => `${STATUS_ICONS[status] || ''} ${status}`)),
+        ...Object.entries(groupCounts).map(([name, groupCount]) => [
+          escapeHtml(name),
+          ...statuses.map(status => String(groupCount[status] || 0))
+        ])
+      ]);
+  };
+
+  core.summary
+    .addHeading('📋 Issue Import Results')
+    .addRaw(escapeHtml(summary), true)
+    .addTable([
+      header('Status', 'Count'),
+      ...statuses.map(status => [`${STATUS_ICONS[status] || ''} ${status}`, String(counts[status])])
+    ]);
+
+  if (repositoryCounts) {
+    addGroupTable('📦 Results by repository', 'Repository', repositoryCounts);
+  }
+  if (fileCounts) {
+    addGroupTable('📄 Results by file', 'File', fileCounts);
+  }
+
+  const created = results.filter(result => result.status === 'created');
+  if (created.length > 0) {
+    core.summary
+      .addHeading('✅ Created issues', 3)
+      .addTable([
+        header('Row', 'Issue', 'Title'),
+        ...created.map(result => [formatRowNumber(result), link(result), escapeHtml(result.title)])
+      ]);
+  }
+
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    core.summary
+      .addHeading('❌ Failures', 3)
+      .addTable([
+        header('Row', 'Title', 'Error'),
+        ...failed.map(result => [formatRowNumber(result), escapeHtml(result.title), escapeHtml(result.error)])
+      ]);
+  }
+
+  const withWarnings = results.filter(result => result.warnings && result.warnings.length > 0);
+  if (withWarnings.length > 0) {
+    core.summary
+      .addHeading('⚠️ Warnings', 3)
+      .addTable([
+        header('Row', 'Title', 'Warnings'),
+        ...withWarnings.map(result => [
+          formatRowNumber(result),
+          escapeHtml(result.title),
+          result.warnings.map(escapeHtml).join('<br>')
+        ])
+      ]);
+  }
+
+  try {
+    await core.summary.write();
+  } catch (error) {
+    core.warning(`Failed to write job summary: ${error.message}`);
+  }
+}
+
+/**
+ * Render the problems found before importing as a Markdown job summary
+ * @param {Array} problems - Problems returned by validateRows
+ * @param {string} summary - Summary line from formatValidationSummary
+ * @returns {Promise<void>}
+ */
+async function writeValidationSummary(problems, summary) {
+  core.summary
+    .addHeading('🔎 Issue Validation Results')
+    .addRaw(escapeHtml(summary), true);
+
+  if (problems.length > 0) {
+    core.summary.addTable([
+      ['Row', 'Title', 'Problem'].map(title => ({ data: title, header: true })),
+      ...problems.map(problem => [formatRowNumber(problem), escapeHtml(problem.title), escapeHtml(problem.message)])
+    ]);
+  }
+
+  try {
+    await core.summary.write();
+  } catch (error) {
+    core.warning(`Failed to write job summary: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize the file-format input
+ * @param {string} fileFormat - Value of the file-format input
+ * @returns {string} Lowercase format, with "yml" mapped to "yaml" and "md" to "markdown"
+ */
+function normalizeFileFormat(fileFormat) {
+  const normalized = fileFormat.trim().toLowerCase();
+  const aliases = { yml: 'yaml', md: 'markdown' };
+  return aliases[normalized] || normalized;
+}
+
+/**
+ * Detect the format of an input file from its extension, or by sniffing its content
+ * @param {string} filePath - Path to the input file, or a directory or glob of Markdown files
+ * @returns {string} Detected format
+ */
+function detectFileFormat(filePath) {
+  if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+    return 'markdown';
+  }
+
+  const format = FORMAT_EXTENSIONS[path.extname(filePath).toLowerCase()];
+  if (format) {
+    return format;
+  }
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').trim();
 
-    if (!Array.isArray(issues) || issues.length === 0) {
+  // JSON is also valid YAML, so it is recognized first
+  if (/^[[{]/.test(content)) {
+    try {
+      JSON.parse(content);
+      return 'json';
+    } catch {
+      // Not JSON, try the other formats
+    }
+  }
+
+  const candidates = [];
+
+  try {
+    const data = parseYamlContent(content);
+    if (Array.isArray(data) || (data && Array.isArray(data.issues))) {
+      candidates.push('yaml');
+    }
+  } catch {
+    // Not YAML
+  }
+
+  const csv = Papa.parse(content, { header: true, preview: 1 });
+  if (csv.meta.fields.length > 1 && !csv.errors.some(error => error.code === 'UndetectableDelimiter')) {
+    candidates.push('csv');
+  }
+
+  if (FRONT_MATTER.test(content)) {
+    candidates.push('markdown');
+  }
+
+  if (candidates.length === 1) {
+    return candidates[0];
+  }
+  if (candidates.length === 0) {
+    throw new Error(`Could not detect the format of ${filePath}. Set file-format to "csv", "json", "yaml" or "markdown".`);
+  }
+  throw new Error(`The format of ${filePath} is ambiguous (it could be ${candidates.join(' or ')}). Set file-format explicitly.`);
+}
+
+/**
+ * Main action function
+ */
+async function run() {
+  try {
+    // Get inputs
+    const filePath = core.getInput('file-path', { required: true });
+    const fileFormatInput = normalizeFileFormat(core.getInput('file-format') || 'auto');
+    const githubToken = core.getInput('github-token', { required: true });
+    const dryRun = core.getInput('dry-run') === 'true';
+    const skipExisting = core.getInput('skip-existing') !== 'false';
+    const matchTitle = core.getInput('match-title') === 'true';
+    const mode = (core.getInput('mode') || 'create').toLowerCase();
+    const filePaths = filePath.split(/\r?\n/).map(entry => entry.trim()).filter(entry => entry !== '');
+    const syncLabel = core.getInput('sync-label') ||
+      (filePaths.length === 1 ? `imported-from:${path.basename(filePaths[0])}` : '');
+    const labelsFile = core.getInput('labels-file');
+    const createMissingLabels = core.getInput('create-missing-labels') === 'true';
+    const createMilestones = core.getInput('create-missing-milestones') === 'true';
+    const skipClosed = core.getInput('skip-closed') === 'true';
+    const projectUrl = core.getInput('project-url');
+    const repositoryInput = core.getInput('repository').trim();
+    const validationMode = (core.getInput('validation-mode') || 'continue').toLowerCase();
+    const validateOnly = validationMode === 'validate-only';
+    const defaultRepository = repositoryInput ? parseRepository(repositoryInput) : github.context.repo;
+    const typeMapping = loadTypeMapping(core.getInput('type-mapping'));
+    const maxRetries = parseInt(core.getInput('max-retries') || '5', 10);
+    const concurrency = parseInt(core.getInput('concurrency') || '1', 10);
+    const stateFile = core.getInput('state-file');
+    const resultsFile = core.getInput('results-file');
+    const fieldMapping = loadFieldMapping(core.getInput('field-mapping'));
+    const source = core.getInput('source').trim().toLowerCase();
+    const bodyTemplate = loadTemplate(core.getInput('body-template'));
+    const commentsFile = core.getInput('comments-file');
+    const commentHeader = loadTemplate(core.getInput('comment-header'));
+    const rowDefaults = {
+      labels: parseLabels(core.getInput('default-labels')),
+      assignees: parseAssignees(core.getInput('default-assignees')),
+      milestone: core.getInput('default-milestone').trim()
+    };
+
+    // Validate inputs
+    if (!['auto', 'csv', 'json', 'yaml', 'markdown'].includes(fileFormatInput)) {
+      throw new Error('file-format must be one of "auto", "csv", "json", "yaml" or "markdown"');
+    }
+
+    if (source && !SOURCE_PRESETS[source]) {
+      throw new Error(`source must be one of ${Object.keys(SOURCE_PRESETS).map(name => `"${name}"`).join(', ')}`);
+    }
+
+    if (!['create', 'upsert', 'sync'].includes(mode)) {
+      throw new Error('mode must be one of "create", "upsert" or "sync"');
+    }
+
+    if (!VALIDATION_MODES.includes(validationMode)) {
+      throw new Error(`validation-mode must be one of ${VALIDATION_MODES.map(name => `"${name}"`).join(', ')}`);
+    }
+
+    if (mode === 'sync' && !syncLabel) {
+      throw new Error('sync-label is required in sync mode when file-path lists several entries');
+    }
+
+    if (!defaultRepository) {
+      throw new Error('repository must be in the "owner/name" format');
+    }
+
+    if (isNaN(maxRetries) || maxRetries < 0) {
+      throw new Error('max-retries must be a non-negative number');
+    }
+
+    if (isNaN(concurrency) || concurrency < 1) {
+      throw new Error('concurrency must be a positive number');
+    }
+
+    // Initialize GitHub client
+    const octokit = github.getOctokit(githubToken);
+    const workerPool = createWorkerPool(concurrency);
+    const requestStats = installRateLimiter(octokit, { maxRetries, onThrottle: () => workerPool.throttle() });
+
+    core.info(`🚀 Starting issue import from: ${filePaths.join(', ')}`);
+    if (dryRun) {
+      core.info('🔍 Running in DRY RUN mode - no issues will be created');
+    }
+    if (validateOnly) {
+      core.info('🔎 Running in VALIDATE-ONLY mode - rows will be checked without importing anything');
+    }
+    if (mode === 'upsert') {
+      core.info('🔄 Running in UPSERT mode - matching issues will be updated');
+    }
+    if (mode === 'sync') {
+      core.info(`🔁 Running in SYNC mode - issues labeled "${syncLabel}" without a row will be closed`);
+    }
+
+    // Parse every listed file, detecting the format of each one unless it is given
+    const inputFiles = await loadInputFiles(filePath, fileFormatInput, {
+      repeatedColumns: Boolean(source && SOURCE_PRESETS[source].repeatedColumns)
+    });
+    if (source) {
+      core.info(`🧳 Converting rows exported from ${source}`);
+      inputFiles.forEach(inputFile => {
+        inputFile.issues = inputFile.issues.map(issue => applySourcePreset(issue, source));
+      });
+    }
+    if (fieldMapping) {
+      core.info(`🧭 Mapping columns to issue fields: ${Object.keys(fieldMapping).join(', ')}`);
+      inputFiles.forEach(inputFile => {
+        inputFile.issues = inputFile.issues.map(issue => applyFieldMapping(issue, fieldMapping));
+      });
+    }
+    inputFiles.forEach(inputFile => {
+      inputFile.issues = inputFile.issues.map(issue => applyRowDefaults(issue, rowDefaults));
+    });
+    if (typeMapping) {
+      inputFiles.forEach(inputFile => {
+        inputFile.issues = inputFile.issues.map(issue => applyTypeMapping(issue, typeMapping));
+      });
+    }
+    if (commentsFile) {
+      const commentsById = await loadCommentsFile(commentsFile);
+      inputFiles.forEach(inputFile => {
+        inputFile.issues = inputFile.issues.map(issue => applyComments(issue, commentsById));
+      });
+      core.info(`💬 Loaded comments for ${commentsById.size} issues from ${commentsFile}`);
+    }
+    inputFiles.forEach(({ file, format, issues: fileIssues }) => {
+      core.info(`📄 ${file} (${format}): ${fileIssues.length} issues`);
+    });
+    core.setOutput('file-format', [...new Set(inputFiles.map(inputFile => inputFile.format))].join(','));
+
+    const issues = inputFiles.flatMap(inputFile => inputFile.issues);
+    if (issues.length === 0) {
       throw new Error('No issues found in the input file');
     }
 
     core.info(`📊 Found ${issues.length} issues to import`);
+    if (concurrency > 1) {
+      core.info(`⚡ Processing up to ${concurrency} issues concurrently`);
+    }
+
+    // Rows without a repository column are imported into the repository input, or the workflow's own
+    const targets = groupRowsByRepository(issues, defaultRepository);
+    const rowTargets = [];
+    targets.forEach(target => target.indexes.forEach(index => {
+      rowTargets[index] = target;
+    }));
+    const defaultName = `${defaultRepository.owner}/${defaultRepository.repo}`;
+    const workflowName = `${github.context.repo.owner}/${github.context.repo.repo}`;
+    if (targets.size > 1 || defaultName.toLowerCase() !== workflowName.toLowerCase()) {
+      core.info(`📦 Importing into ${[...targets.values()].map(target => target.name).join(', ')}`);
+    }
+
+    const labelDefinitions = [];
+    if (labelsFile) {
+      labelDefinitions.push(...await loadLabelDefinitions(null, null, labelsFile));
+    } else {
+      for (const { file, format } of inputFiles) {
+        labelDefinitions.push(...await loadLabelDefinitions(file, format, ''));
+      }
+    }
+    const updateExisting = mode === 'upsert' || mode === 'sync';
+    // Existing issues are only listed when a row can match or reference one
+    const rowsCanMatch = matchTitle || findReferences(bodyTemplate || '').length > 0 || issues.some(issue =>
+      issue && typeof issue === 'object' &&
+      Boolean(getExternalId(issue) || issue.number || getParentId(issue) || findReferences(issue.body, issue.description).length > 0));
+    const lookupExisting = updateExisting || (skipExisting && rowsCanMatch);
+    const issueTypesByOwner = new Map();
+
+    // Milestones, collaborators, labels, existing issues and issue types are looked up once per repository
+    for (const target of targets.values()) {
+      const targetIssues = target.indexes.map(index => issues[index]);
+      if (targets.size > 1) {
+        core.info(`🎯 ${target.name}: ${targetIssues.length} issues`);
+      }
+
+      // Labels used by rows are checked before importing, and created once validation passes
+      target.referencedLabels = [...new Set(targetIssues.flatMap(issue => parseLabels(issue?.labels)))];
+      target.labels = target.referencedLabels.length > 0 ? await getRepositoryLabels(octokit, target.context) : null;
+      if (mode === 'sync') {
+        target.referencedLabels.push(syncLabel);
+      }
+
+      // Get milestone mapping
+      target.milestoneMap = await getMilestoneMapping(octokit, target.context, createMilestones);
+      target.referencedMilestones = [];
+      target.milestoneDefinitions = [];
+      if (createMilestones) {
+        target.referencedMilestones = [...new Set(targetIssues
+          .map(issue => issue?.milestone)
+          .filter(milestone => typeof milestone === 'string' && milestone.trim() !== '' && !/^\d+$/.test(milestone)))];
+        // Milestones described by rows go to the repository of the row. When the file targets several
+        // repositories, milestones of the "milestones" sections only go where rows reference them.
+        const targetRows = new Set(targetIssues);
+        target.milestoneDefinitions = inputFiles
+          .flatMap(({ file, format, issues: fileIssues }) =>
+            loadMilestoneDefinitions(file, format, fileIssues.filter(issue => targetRows.has(issue))))
+          .filter(definition => targets.size === 1 || target.referencedMilestones.includes(definition.title));
+      }
+
+      // Index existing issues so re-runs don't create duplicates or can update them
+      target.existingIssues = lookupExisting ? await getExistingIssues(octokit, target.context) : null;
+
+      // Issue types are resolved once per organization, when any row sets one
+      const usesTypes = targetIssues.some(issue => issue && issue.type !== undefined && issue.type !== null && String(issue.type).trim() !== '');
+      const owner = target.context.repo.owner.toLowerCase();
+      if (usesTypes && !issueTypesByOwner.has(owner)) {
+        issueTypesByOwner.set(owner, await getIssueTypes(octokit, target.context));
+      }
+      target.issueTypes = issueTypesByOwner.get(owner) || null;
+
+      target.collaboratorCache = new Map();
+      target.state = { matchedNumbers: new Set(), unmatchedFailures: 0 };
+    }
+
+    // Parents and referenced rows are processed before the rows that depend on them,
+    // whichever repository they are imported into
+    const references = new Map();
+    targets.forEach(target => {
+      if (target.existingIssues) {
+        target.existingIssues.byExternalId.forEach((existingIssue, id) => {
+          references.set(id, { number: existingIssue.number, repository: target.name });
+        });
+      }
+    });
+    const plan = planHierarchy(issues, lookupExisting ? { byExternalId: references } : null, bodyTemplate);
+
+    // Project fields are checked with the other problems of the rows
+    const project = projectUrl ? await getProject(octokit, projectUrl) : null;
+    if (project) {
+      core.info(`📌 Adding new issues to project "${project.title}"`);
+    }
+    const rowProblems = [...plan.problems, ...(project ? validateProjectFields(issues, project) : [])];
+    const rowErrors = new Map();
+    rowProblems.forEach(({ index, message }) => {
+      rowErrors.set(index, rowErrors.has(index) ? `${rowErrors.get(index)}; ${message}` : message);
+    });
+
+    // Every row is checked before anything is written; milestones that will be created count as existing
+    core.info(`🔎 Validating ${issues.length} issues before importing`);
+    const plannedTargets = new Map([...targets.values()].map(target => [target, {
+      ...target,
+      milestoneMap: new Map([
+        ...[...target.milestoneDefinitions.map(definition => definition.title), ...target.referencedMilestones]
+          .map(title => [title, null]),
+        ...target.milestoneMap
+      ])
+    }]));
+    const problems = await validateRows(octokit, issues, rowTargets.map(target => plannedTargets.get(target)), {
+      bodyTemplate,
+      declaredLabels: labelDefinitions,
+      createMissingLabels,
+      rowProblems
+    });
+    const validationSummary = formatValidationSummary(problems, issues.length);
+    core.info(`📈 ${validationSummary}`);
+    if (problems.length > 0) {
+      core.startGroup('🔎 Validation problems');
+      problems.forEach(problem => core.info(`- ${problem.message}`));
+      core.endGroup();
+    }
+    if (problems.length > 0 || validateOnly) {
+      await writeValidationSummary(problems, validationSummary);
+    }
+    // The validation mode decides whether problems abort the run
+    if (validationMode !== 'continue') {
+      core.setOutput('summary', validationSummary);
+      core.setOutput('issues-failed', String(new Set(problems.map(problem => problem.index)).size));
+      if (problems.length > 0) {
+        throw new Error(`${validationSummary}:\n${problems.map(problem => `- ${problem.message}`).join('\n')}`);
+      }
+      if (validateOnly) {
+        return;
+      }
+    }
 
-    // Get milestone mapping
-    const milestoneMap = await getMilestoneMapping(octokit, context);
+    // Make sure declared and referenced labels and milestones exist before creating issues
+    for (const target of targets.values()) {
+      if (labelDefinitions.length > 0 || createMissingLabels) {
+        await syncLabels(octokit, target.context, labelDefinitions, target.referencedLabels, createMissingLabels, dryRun, target.labels);
+      }
+      if (createMilestones) {
+        await createMissingMilestones(octokit, target.context, target.milestoneDefinitions, target.referencedMilestones, target.milestoneMap, dryRun);
+      }
+    }
 
     // Validate and process issues
-    const results = [];
-    let successCount = 0;
-    let failureCount = 0;    for (let i = 0; i < issues.length; i++) {
+    const importOptions = {
+      mode,
+      dryRun,
+      syncLabel,
+      matchTitle,
+      bodyTemplate,
+      references,
+      commentHeader,
+      skipClosed,
+      project
+    };
+    const manifest = stateFile ? loadStateFile(stateFile) : null;
+    if (manifest) {
+      core.info(`💾 Recording progress in state file: ${stateFile}`);
+    }
+    const processRow = async (issue, index) => {
+      const target = rowTargets[index];
+      const row = {
+        index,
+        externalId: (issue && getExternalId(issue)) || undefined,
+        source: getRowSource(issue),
+        repository: target.name
+      };
+      const warnings = [];
+      const rowOptions = {
+        ...importOptions,
+        milestoneMap: target.milestoneMap,
+        existingIssues: target.existingIssues,
+        collaboratorCache: target.collaboratorCache,
+        issueTypes: target.issueTypes,
+        state: target.state,
+        warnings,
+        rowError: rowErrors.get(index)
+      };
+      if (!manifest) {
+        return { ...row, ...await importIssue(octokit, target.context, issue, index, rowOptions), warnings };
+      }
+
+      // Rows completed by a previous run are not processed again; failures are retried
+      const key = getStateKey(issue, index);
+      const previous = manifest.rows[key];
+      if (previous && COMPLETED_STATUSES.includes(previous.status)) {
+        core.info(`⏭️ Skipping "${previous.title}": completed in a previous run as #${previous.number}`);
+        target.state.matchedNumbers.add(previous.number);
+        return {
+          ...row,
+          status: 'skipped',
+          title: previous.title,
+          number: previous.number,
+          url: previous.url
+        };
+      }
+
+      const result = await importIssue(octokit, target.context, issue, index, rowOptions);
+      if (!dryRun) {
+        recordState(manifest, key, index, result);
+        saveStateFile(stateFile, manifest);
+      }
+      return { ...row, ...result, warnings };
+    };
+    const completions = issues.map(() => {
+      let done;
+      const promise = new Promise(resolve => {
+        done = resolve;
+      });
+      return { promise, done };
+    });
+    const orderedResults = await workerPool.run(plan.order, async index => {
       try {
-        const validatedIssue = await validateIssue(octokit, context, issues[i], i, milestoneMap);
-        const result = await createIssue(octokit, context, validatedIssue, dryRun);
-        results.push(result);
-
-        if (result.status === 'created' || result.status === 'dry-run') {
-          successCount++;
-        } else {
-          failureCount++;
+        await Promise.all(plan.dependencies[index].map(dependency => completions[dependency].promise));
+        const result = await processRow(issues[index], index);
+        if (result.externalId && typeof result.number === 'number') {
+          references.set(result.externalId, { number: result.number, repository: result.repository });
+        }
+        return result;
+      } finally {
+        completions[index].done();
+      }
+    });
+    const results = [];
+    orderedResults.forEach((result, position) => {
+      results[plan.order[position]] = result;
+    });
+    // Close managed issues whose rows were removed from the file, in every repository of the file
+    if (mode === 'sync') {
+      for (const target of targets.values()) {
+        const { matchedNumbers, unmatchedFailures } = target.state;
+        const where = targets.size > 1 ? ` in ${target.name}` : '';
+        if (unmatchedFailures > 0) {
+          core.warning(`⚠️ Skipping closing of removed issues${where} because ${unmatchedFailures} rows could not be processed`);
+          continue;
         }
 
-        // Add a small delay to avoid rate limiting
-        if (!dryRun && i < issues.length - 1) {
-          await new Promise(resolve => setTimeout(resolve, 100));
+        const removedIssues = findRemovedIssues(target.existingIssues, syncLabel, matchedNumbers);
+        core.info(`🗑️ Found ${removedIssues.length} managed issues${where} without a row in the file`);
+        for (const removedIssue of removedIssues) {
+          results.push({
+            externalId: extractExternalId(removedIssue.body) || undefined,
+            repository: target.name,
+            ...await closeIssue(octokit, target.context, removedIssue, dryRun)
+          });
         }
-      } catch (error) {
-        core.error(`❌ Failed to process issue at index ${i}: ${error.message}`);
-        results.push({
-          status: 'failed',
-          title: issues[i]?.title || 'Unknown',
-          error: error.message
-        });
-        failureCount++;
       }
     }
 
     // Generate summary
-    const summary = `Import completed: ${successCount} successful, ${failureCount} failed`;
+    const counts = countResults(results);
+    const successCount = counts.created + counts['dry-run'];
+    const failureCount = counts.failed;
+    const summary = formatSummary(counts, requestStats);
     core.info(`📈 ${summary}`);
+    const repositoryCounts = targets.size > 1 ? countResultsByRepository(results) : null;
+    if (repositoryCounts) {
+      Object.entries(repositoryCounts).forEach(([repository, repositoryCount]) => {
+        core.info(`   📦 ${repository}: ${formatCounts(repositoryCount)}`);
+      });
+    }
+    const fileCounts = inputFiles.length > 1 ? countResultsByFile(results) : null;
+    if (fileCounts) {
+      Object.entries(fileCounts).forEach(([file, fileCount]) => {
+        core.info(`   📄 ${file}: ${formatCounts(fileCount)}`);
+      });
+    }
 
     // Set outputs
     core.setOutput('issues-created', successCount.toString());
     core.setOutput('issues-failed', failureCount.toString());
+    core.setOutput('issues-skipped', counts.skipped.toString());
+    core.setOutput('issues-updated', counts.updated.toString());
+    core.setOutput('issues-unchanged', counts.unchanged.toString());
+    core.setOutput('issues-closed', counts.closed.toString());
     core.setOutput('summary', summary);
 
+    // Expose per-row results to later steps
+    const resultRecords = formatResultRecords(results);
+    core.setOutput('issues', JSON.stringify(resultRecords));
+    if (resultsFile) {
+      writeResultsFile(resultsFile, resultRecords);
+      core.info(`💾 Wrote results to ${resultsFile}`);
+    }
+
     // Log detailed results
     if (results.length > 0) {
       core.startGroup('📋 Import Results');
       results.forEach((result, _index) => {
-        const status = result.status === 'created' ? '✅' :
-          result.status === 'dry-run' ? '🔍' : '❌';
-        const info = result.number ? `#${result.number}` : '';
+        const status = STATUS_ICONS[result.status] || '❌';
+        const info = result.number ? `${repositoryCounts ? result.repository : ''}#${result.number}` : '';
         core.info(`${status} ${result.title} ${info}`);
         if (result.error) {
           core.info(`   Error: ${result.error}`);
@@ -387,6 +3646,8 @@ async function run() {
       core.endGroup();
     }
 
+    await writeJobSummary(results, counts, summary, fileCounts, repositoryCounts);
+
     if (failureCount > 0 && !dryRun) {
       core.setFailed(`${failureCount} issues failed to import`);
     }
@@ -401,11 +3662,88 @@ module.exports = {
   run,
   parseCsvFile,
   parseJsonFile,
+  parseYamlFile,
+  parseMarkdownFile,
+  resolveInputFiles,
+  parseRepository,
+  groupRowsByRepository,
+  loadInputFiles,
+  loadFieldMapping,
+  parseFieldMapping,
+  applyFieldMapping,
+  applySourcePreset,
+  convertJiraRow,
+  convertJiraMarkup,
+  convertGitLabRow,
+  convertAzureBoardsRow,
+  loadTemplate,
+  renderTemplate,
+  applyBodyTemplate,
+  applyRowDefaults,
+  getParentId,
+  findReferences,
+  resolveReferences,
+  planHierarchy,
+  addSubIssue,
+  parseStateReason,
+  parseProjectUrl,
+  getProject,
+  getProjectFieldValues,
+  resolveProjectFieldValue,
+  validateProjectFields,
+  addToProject,
+  loadTypeMapping,
+  applyTypeMapping,
+  getIssueTypes,
+  parseJiraComment,
+  parseComments,
+  loadCommentsFile,
+  applyComments,
+  postComments,
+  detectFileFormat,
+  parseFileSection,
+  loadLabelDefinitions,
+  parseLabelDefinitions,
+  getRepositoryLabels,
+  syncLabels,
   validateIssue,
   parseLabels,
   parseAssignees,
   validateAssignees,
-  createIssue
+  getMilestoneMapping,
+  loadMilestoneDefinitions,
+  parseMilestoneDefinitions,
+  createMissingMilestones,
+  resolveMilestone,
+  createIssue,
+  getExternalId,
+  addExternalIdMarker,
+  extractExternalId,
+  getExistingIssues,
+  findExistingIssue,
+  getIssueChanges,
+  updateIssue,
+  findRemovedIssues,
+  closeIssue,
+  importIssue,
+  loadStateFile,
+  getStateKey,
+  recordState,
+  saveStateFile,
+  createWorkerPool,
+  formatResultRecords,
+  writeResultsFile,
+  writeJobSummary,
+  validateRows,
+  formatValidationSummary,
+  writeValidationSummary,
+  installRateLimiter,
+  requestWithRetry,
+  getRetryDelay,
+  countResults,
+  countResultsByFile,
+  countResultsByRepository,
+  formatSummary
 };
 
 // Run the action if this file is executed directly
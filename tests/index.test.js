@@ -5,7 +5,83 @@ const {
   parseLabels,
   parseAssignees,
   validateAssignees,
-  createIssue
+  createIssue,
+  getExternalId,
+  addExternalIdMarker,
+  extractExternalId,
+  getExistingIssues,
+  findExistingIssue,
+  getIssueChanges,
+  updateIssue,
+  countResults,
+  formatSummary,
+  findRemovedIssues,
+  closeIssue,
+  parseFileSection,
+  loadLabelDefinitions,
+  parseLabelDefinitions,
+  syncLabels,
+  getMilestoneMapping,
+  loadMilestoneDefinitions,
+  parseMilestoneDefinitions,
+  createMissingMilestones,
+  resolveMilestone,
+  installRateLimiter,
+  requestWithRetry,
+  getRetryDelay,
+  importIssue,
+  createWorkerPool,
+  run,
+  loadStateFile,
+  getStateKey,
+  recordState,
+  saveStateFile,
+  formatResultRecords,
+  writeResultsFile,
+  writeJobSummary,
+  parseYamlFile,
+  parseMarkdownFile,
+  detectFileFormat,
+  resolveInputFiles,
+  loadInputFiles,
+  countResultsByFile,
+  countResultsByRepository,
+  parseRepository,
+  groupRowsByRepository,
+  loadFieldMapping,
+  parseFieldMapping,
+  applyFieldMapping,
+  applySourcePreset,
+  convertJiraRow,
+  convertJiraMarkup,
+  convertGitLabRow,
+  convertAzureBoardsRow,
+  loadTemplate,
+  renderTemplate,
+  applyBodyTemplate,
+  applyRowDefaults,
+  getParentId,
+  findReferences,
+  resolveReferences,
+  planHierarchy,
+  addSubIssue,
+  parseJiraComment,
+  parseComments,
+  loadCommentsFile,
+  applyComments,
+  postComments,
+  parseStateReason,
+  parseProjectUrl,
+  getProject,
+  getProjectFieldValues,
+  resolveProjectFieldValue,
+  validateProjectFields,
+  addToProject,
+  loadTypeMapping,
+  applyTypeMapping,
+  getIssueTypes,
+  validateRows,
+  formatValidationSummary
 } = require('../index');
 const fs = require('fs');
 const path = require('path');
@@ -20,7 +96,13 @@ jest.mock('@actions/core', () => ({
   warning: jest.fn(),
   debug: jest.fn(),
   startGroup: jest.fn(),
-  endGroup: jest.fn()
+  endGroup: jest.fn(),
+  summary: {
+    addHeading: jest.fn().mockReturnThis(),
+    addRaw: jest.fn().mockReturnThis(),
+    addTable: jest.fn().mockReturnThis(),
+    write: jest.fn().mockResolvedValue()
+  }
 }));
 
 // Mock @actions/github
@@ -400,7 +482,8 @@ describe('Issue Importer', () => {
         status: 'created',
         title: 'Test Issue',
         number: 123,
-        url: 'https://github.com/test-owner/test-repo/issues/123'
+        url: 'https://github.com/test-owner/test-repo/issues/123',
+        state: 'open'
       });      expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith({
         owner: 'test-owner',
         repo: 'test-repo',
@@ -417,7 +500,8 @@ describe('Issue Importer', () => {
       expect(result).toEqual({
         status: 'dry-run',
         title: 'Test Issue',
-        number: 'DRY-RUN'
+        number: 'DRY-RUN',
+        state: 'open'
       });
 
       expect(mockOctokit.rest.issues.create).not.toHaveBeenCalled();
@@ -436,4 +520,2777 @@ describe('Issue Importer', () => {
       });
     });
   });
+
+  describe('external ids', () => {
+    it('should read the external id from supported fields', () => {
+      expect(getExternalId({ id: 'TASK-1' })).toBe('TASK-1');
+      expect(getExternalId({ external_id: 42 })).toBe('42');
+      expect(getExternalId({ 'external-id': ' abc ' })).toBe('abc');
+      expect(getExternalId({ title: 'No id' })).toBeNull();
+      expect(getExternalId({ id: '' })).toBeNull();
+    });
+
+    it('should append and extract the hidden marker', () => {
+      const body = addExternalIdMarker('Test body', 'TASK-1');
+      expect(body).toBe('Test body\n\n<!-- issue-importer-id: TASK-1 -->');
+      expect(extractExternalId(body)).toBe('TASK-1');
+      expect(addExternalIdMarker('', 'TASK-1')).toBe('<!-- issue-importer-id: TASK-1 -->');
+      expect(addExternalIdMarker('Test body', null)).toBe('Test body');
+      expect(extractExternalId('No marker here')).toBeNull();
+    });
+
+    it('should record the external id when validating an issue', async () => {
+      const mockOctokit = { rest: { repos: { checkCollaborator: jest.fn() } } };
+      const result = await validateIssue(mockOctokit, {}, { id: 'TASK-1', title: 'Test', body: 'Body' }, 0, new Map());
+
+      expect(result.externalId).toBe('TASK-1');
+      expect(result.body).toBe('Body\n\n<!-- issue-importer-id: TASK-1 -->');
+    });
+  });
+
+  describe('getExistingIssues', () => {
+    const mockContext = {
+      repo: {
+        owner: 'test-owner',
+        repo: 'test-repo'
+      }
+    };
+
+    it('should index issues by external id and title, ignoring pull requests', async () => {
+      const mockOctokit = {
+        paginate: jest.fn().mockResolvedValue([
+          { number: 1, title: 'First', body: 'Body\n\n<!-- issue-importer-id: TASK-1 -->' },
+          { number: 2, title: 'Second', body: null },
+          { number: 3, title: 'A pull request', body: '', pull_request: {} }
+        ]),
+        rest: { issues: { listForRepo: jest.fn() } }
+      };
+
+      const existingIssues = await getExistingIssues(mockOctokit, mockContext);
+
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.issues.listForRepo, {
+        owner: 'test-owner',
+        repo: 'test-repo',
+        state: 'all',
+        per_page: 100
+      });
+      expect(existingIssues.byExternalId.get('TASK-1').number).toBe(1);
+      expect(existingIssues.byTitle.get('Second').number).toBe(2);
+      expect(existingIssues.byTitle.has('A pull request')).toBe(false);
+    });
+
+    it('should count issues that share a title', async () => {
+      const core = require('@actions/core');
+      const mockOctokit = {
+        paginate: jest.fn().mockResolvedValue([
+          { number: 1, title: 'Same', body: '' },
+          { number: 2, title: 'Same', body: '' }
+        ]),
+        rest: { issues: { listForRepo: jest.fn() } }
+      };
+
+      await getExistingIssues(mockOctokit, mockContext);
+
+      expect(core.info).toHaveBeenCalledWith('🔎 Found 2 existing issues for duplicate detection');
+    });
+  });
+
+  describe('findExistingIssue', () => {
+    const existingIssues = {
+      byExternalId: new Map([['TASK-1', { number: 1, title: 'Renamed' }]]),
+      byTitle: new Map([['Renamed', { number: 1 }], ['Plain', { number: 2 }]])
+    };
+
+    it('should match rows with an external id on the id only', () => {
+      expect(findExistingIssue({ title: 'Original', externalId: 'TASK-1' }, existingIssues).number).toBe(1);
+      expect(findExistingIssue({ title: 'Plain', externalId: 'TASK-2' }, existingIssues)).toBeNull();
+    });
+
+    it('should fall back to the exact title when there is no external id', () => {
+      expect(findExistingIssue({ title: 'Plain' }, existingIssues, true).number).toBe(2);
+      expect(findExistingIssue({ title: 'plain' }, existingIssues, true)).toBeNull();
+    });
+
+    it('should not match titles unless enabled', () => {
+      expect(findExistingIssue({ title: 'Plain' }, existingIssues, false)).toBeNull();
+    });
+
+    it('should return null when duplicate detection is disabled', () => {
+      expect(findExistingIssue({ title: 'Plain' }, null)).toBeNull();
+    });
+  });
+
+  describe('getIssueChanges', () => {
+    const existingIssue = {
+      number: 7,
+      title: 'Test Issue',
+      body: 'Test body',
+      labels: [{ name: 'enhancement' }, { name: 'bug' }],
+      assignees: [{ login: 'user1' }],
+      milestone: { number: 2, title: 'v1.0' },
+      state: 'open'
+    };
+
+    it('should report no changes for a matching issue', () => {
+      const issue = {
+        title: 'Test Issue',
+        body: 'Test body',
+        labels: ['bug', 'enhancement'],
+        assignees: ['user1'],
+        milestone: 2
+      };
+      expect(getIssueChanges(existingIssue, issue)).toEqual({});
+    });
+
+    it('should report changed fields with old and new values', () => {
+      const issue = {
+        title: 'Renamed',
+        body: 'Test body',
+        labels: ['bug'],
+        assignees: [],
+        milestone: null,
+        state: 'closed'
+      };
+      expect(getIssueChanges(existingIssue, issue)).toEqual({
+        title: { from: 'Test Issue', to: 'Renamed' },
+        labels: { from: ['bug', 'enhancement'], to: ['bug'] },
+        assignees: { from: ['user1'], to: [] },
+        milestone: { from: 2, to: null },
+        state: { from: 'open', to: 'closed' }
+      });
+    });
+  });
+
+  describe('updateIssue', () => {
+    const mockOctokit = {
+      rest: {
+        issues: {
+          update: jest.fn()
+        }
+      }
+    };
+
+    const mockContext = {
+      repo: {
+        owner: 'test-owner',
+        repo: 'test-repo'
+      }
+    };
+
+    const existingIssue = {
+      number: 7,
+      title: 'Test Issue',
+      body: 'Old body',
+      labels: [],
+      assignees: [],
+      milestone: null,
+      state: 'open',
+      html_url: 'https://github.com/test-owner/test-repo/issues/7'
+    };
+
+    const testIssue = {
+      title: 'Test Issue',
+      body: 'New body',
+      labels: ['bug'],
+      assignees: [],
+      milestone: null
+    };
+
+    beforeEach(() => {
+      mockOctokit.rest.issues.update.mockReset();
+    });
+
+    it('should update only the changed fields', async () => {
+      mockOctokit.rest.issues.update.mockResolvedValue({ data: {} });
+
+      const result = await updateIssue(mockOctokit, mockContext, existingIssue, testIssue, false);
+
+      expect(result).toEqual({
+        status: 'updated',
+        title: 'Test Issue',
+        number: 7,
+        url: 'https://github.com/test-owner/test-repo/issues/7',
+        state: 'open',
+        changes: ['body', 'labels']
+      });
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 7,
+        body: 'New body',
+        labels: ['bug']
+      });
+    });
+
+    it('should report unchanged issues without calling the API', async () => {
+      const result = await updateIssue(mockOctokit, mockContext, existingIssue, {
+        ...testIssue,
+        body: 'Old body',
+        labels: []
+      }, false);
+
+      expect(result.status).toBe('unchanged');
+      expect(mockOctokit.rest.issues.update).not.toHaveBeenCalled();
+    });
+
+    it('should print a field-by-field diff in dry run mode', async () => {
+      const core = require('@actions/core');
+      const result = await updateIssue(mockOctokit, mockContext, existingIssue, testIssue, true);
+
+      expect(result.status).toBe('dry-run');
+      expect(result.changes).toEqual(['body', 'labels']);
+      expect(core.info).toHaveBeenCalledWith('  body: Old body → New body');
+      expect(core.info).toHaveBeenCalledWith('  labels: None → bug');
+      expect(mockOctokit.rest.issues.update).not.toHaveBeenCalled();
+    });
+
+    it('should handle API errors', async () => {
+      mockOctokit.rest.issues.update.mockRejectedValue(new Error('API Error'));
+
+      const result = await updateIssue(mockOctokit, mockContext, existingIssue, testIssue, false);
+
+      expect(result.status).toBe('failed');
+      expect(result.error).toBe('API Error');
+    });
+  });
+
+  describe('formatSummary', () => {
+    it('should only list optional statuses that occurred', () => {
+      const counts = countResults([
+        { status: 'created' },
+        { status: 'updated' },
+        { status: 'failed' }
+      ]);
+      expect(formatSummary(counts)).toBe('Import completed: 1 successful, 1 updated, 1 failed');
+    });
+
+    it('should keep the basic summary when nothing was updated or skipped', () => {
+      const counts = countResults([{ status: 'created' }, { status: 'dry-run' }]);
+      expect(formatSummary(counts)).toBe('Import completed: 2 successful, 0 failed');
+    });
+  });
+
+  describe('validateIssue upsert fields', () => {
+    const mockOctokit = { rest: { repos: { checkCollaborator: jest.fn() } } };
+
+    it('should parse the issue number and state', async () => {
+      const result = await validateIssue(mockOctokit, {}, { title: 'Test', number: '12', state: 'Closed' }, 0, new Map());
+      expect(result.number).toBe(12);
+      expect(result.state).toBe('closed');
+    });
+
+    it('should reject an invalid state', async () => {
+      await expect(validateIssue(mockOctokit, {}, { title: 'Test', state: 'done' }, 3, new Map()))
+        .rejects.toThrow('Issue at index 3 has an invalid state "done"');
+    });
+  });
+
+  describe('findRemovedIssues', () => {
+    it('should return open managed issues that were not matched by a row', () => {
+      const existingIssues = {
+        byNumber: new Map([
+          [1, { number: 1, state: 'open', labels: [{ name: 'imported-from:roadmap.csv' }] }],
+          [2, { number: 2, state: 'open', labels: [{ name: 'imported-from:roadmap.csv' }] }],
+          [3, { number: 3, state: 'closed', labels: [{ name: 'imported-from:roadmap.csv' }] }],
+          [4, { number: 4, state: 'open', labels: [{ name: 'bug' }] }]
+        ])
+      };
+
+      const removed = findRemovedIssues(existingIssues, 'imported-from:roadmap.csv', new Set([1]));
+      expect(removed.map(issue => issue.number)).toEqual([2]);
+    });
+
+    it('should match the sync label regardless of case', () => {
+      const existingIssues = {
+        byNumber: new Map([[1, { number: 1, state: 'open', labels: [{ name: 'Imported-From:roadmap.csv' }] }]])
+      };
+
+      const removed = findRemovedIssues(existingIssues, 'imported-from:roadmap.csv', new Set());
+      expect(removed.map(issue => issue.number)).toEqual([1]);
+    });
+  });
+
+  describe('closeIssue', () => {
+    const mockOctokit = {
+      rest: {
+        issues: {
+          update: jest.fn()
+        }
+      }
+    };
+
+    const mockContext = {
+      repo: {
+        owner: 'test-owner',
+        repo: 'test-repo'
+      }
+    };
+
+    const existingIssue = {
+      number: 9,
+      title: 'Removed row',
+      html_url: 'https://github.com/test-owner/test-repo/issues/9'
+    };
+
+    beforeEach(() => {
+      mockOctokit.rest.issues.update.mockReset();
+    });
+
+    it('should close the issue as not planned', async () => {
+      mockOctokit.rest.issues.update.mockResolvedValue({ data: {} });
+
+      const result = await closeIssue(mockOctokit, mockContext, existingIssue, false);
+
+      expect(result).toEqual({
+        status: 'closed',
+        title: 'Removed row',
+        number: 9,
+        url: 'https://github.com/test-owner/test-repo/issues/9'
+      });
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 9,
+        state: 'closed',
+        state_reason: 'not_planned'
+      });
+    });
+
+    it('should only report the closure in dry run mode', async () => {
+      const result = await closeIssue(mockOctokit, mockContext, existingIssue, true);
+
+      expect(result.status).toBe('dry-run');
+      expect(result.action).toBe('closed');
+      expect(mockOctokit.rest.issues.update).not.toHaveBeenCalled();
+      expect(countResults([result]).closed).toBe(1);
+    });
+  });
+
+  describe('label definitions', () => {
+    it('should read the labels section of a JSON file', async () => {
+      const testFile = path.join(__dirname, 'test-labels.json');
+      fs.writeFileSync(testFile, JSON.stringify({
+        labels: [{ name: 'bug', color: '#D73A4A', description: 'Something is broken' }],
+        issues: [{ title: 'Test Issue' }]
+      }));
+
+      try {
+        const definitions = await loadLabelDefinitions(testFile, 'json', '');
+        expect(definitions).toEqual([{ name: 'bug', color: 'd73a4a', description: 'Something is broken' }]);
+      } finally {
+        fs.unlinkSync(testFile);
+      }
+    });
+
+    it('should read a companion labels CSV file', async () => {
+      const testFile = path.join(__dirname, 'test-labels.csv');
+      fs.writeFileSync(testFile, 'name,color,description\n"ui","1d76db","User interface"');
+
+      try {
+        const definitions = await loadLabelDefinitions('issues.csv', 'csv', testFile);
+        expect(definitions).toEqual([{ name: 'ui', color: '1d76db', description: 'User interface' }]);
+      } finally {
+        fs.unlinkSync(testFile);
+      }
+    });
+
+    it('should ignore the labels section of a plain JSON array', () => {
+      const testFile = path.join(__dirname, 'test-array.json');
+      fs.writeFileSync(testFile, JSON.stringify([{ title: 'Test Issue' }]));
+
+      try {
+        expect(parseFileSection(testFile, 'labels')).toEqual([]);
+      } finally {
+        fs.unlinkSync(testFile);
+      }
+    });
+
+    it('should reject definitions without a name or with an invalid color', () => {
+      expect(() => parseLabelDefinitions([{ color: 'ffffff' }]))
+        .toThrow('Label definition at index 0 is missing a valid name');
+      expect(() => parseLabelDefinitions([{ name: 'bug', color: 'red' }]))
+        .toThrow('Label "bug" has an invalid color "red"');
+    });
+  });
+
+  describe('syncLabels', () => {
+    let mockOctokit;
+
+    const mockContext = {
+      repo: {
+        owner: 'test-owner',
+        repo: 'test-repo'
+      }
+    };
+
+    beforeEach(() => {
+      mockOctokit = {
+        paginate: jest.fn().mockResolvedValue([
+          { name: 'Bug', color: 'ffffff', description: '' },
+          { name: 'docs', color: '0075ca', description: 'Documentation' }
+        ]),
+        rest: {
+          issues: {
+            listLabelsForRepo: jest.fn(),
+            createLabel: jest.fn().mockResolvedValue({}),
+            updateLabel: jest.fn().mockResolvedValue({})
+          }
+        }
+      };
+    });
+
+    it('should create missing and update changed declared labels', async () => {
+      const definitions = [
+        { name: 'bug', color: 'd73a4a', description: 'Something is broken' },
+        { name: 'docs', color: '0075ca', description: 'Documentation' },
+        { name: 'ui', color: '1d76db', description: undefined }
+      ];
+
+      const result = await syncLabels(mockOctokit, mockContext, definitions, [], false, false);
+
+      expect(result).toEqual({ created: ['ui'], updated: ['Bug'] });
+      expect(mockOctokit.rest.issues.createLabel).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        name: 'ui',
+        color: '1d76db',
+        description: undefined
+      });
+      expect(mockOctokit.rest.issues.updateLabel).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        name: 'Bug',
+        color: 'd73a4a',
+        description: 'Something is broken'
+      });
+    });
+
+    it('should create undeclared referenced labels only when requested', async () => {
+      let result = await syncLabels(mockOctokit, mockContext, [], ['bug', 'triage'], false, false);
+      expect(result.created).toEqual([]);
+
+      result = await syncLabels(mockOctokit, mockContext, [], ['bug', 'triage'], true, false);
+      expect(result.created).toEqual(['triage']);
+      expect(mockOctokit.rest.issues.createLabel).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'triage',
+        color: 'ededed'
+      }));
+    });
+
+    it('should not change labels in dry run mode', async () => {
+      const result = await syncLabels(mockOctokit, mockContext, [{ name: 'ui', color: '1d76db' }], [], true, true);
+
+      expect(result.created).toEqual(['ui']);
+      expect(mockOctokit.rest.issues.createLabel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getMilestoneMapping', () => {
+    it('should page through all milestones', async () => {
+      const mockOctokit = {
+        paginate: jest.fn().mockResolvedValue([
+          { title: 'v1.0', number: 1 },
+          { title: 'v2.0', number: 31 }
+        ]),
+        rest: { issues: { listMilestones: jest.fn() } }
+      };
+
+      const milestoneMap = await getMilestoneMapping(mockOctokit, { repo: { owner: 'test-owner', repo: 'test-repo' } });
+
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.issues.listMilestones, {
+        owner: 'test-owner',
+        repo: 'test-repo',
+        state: 'all',
+        per_page: 100
+      });
+      expect(milestoneMap.get('v2.0')).toBe(31);
+    });
+
+    it('should only fail on a failed listing when it is required', async () => {
+      const mockOctokit = {
+        paginate: jest.fn().mockRejectedValue(new Error('Server Error')),
+        rest: { issues: { listMilestones: jest.fn() } }
+      };
+      const context = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+
+      expect(await getMilestoneMapping(mockOctokit, context)).toEqual(new Map());
+      await expect(getMilestoneMapping(mockOctokit, context, true)).rejects.toThrow('Failed to fetch milestones: Server Error');
+    });
+  });
+
+  describe('milestone definitions', () => {
+    it('should read the milestones section of a JSON file', () => {
+      const testFile = path.join(__dirname, 'test-milestones.json');
+      fs.writeFileSync(testFile, JSON.stringify({
+        milestones: [{ title: 'v1.0', due_on: '2025-03-01', description: 'First release', state: 'open' }],
+        issues: [{ title: 'Test Issue', milestone: 'v1.0' }]
+      }));
+
+      try {
+        expect(loadMilestoneDefinitions(testFile, 'json', [])).toEqual([{
+          title: 'v1.0',
+          due_on: '2025-03-01T00:00:00Z',
+          description: 'First release',
+          state: 'open'
+        }]);
+      } finally {
+        fs.unlinkSync(testFile);
+      }
+    });
+
+    it('should read milestone columns of CSV rows', () => {
+      const issues = [
+        { title: 'A', milestone: 'v2.0', milestone_due_on: '2025-06-30' },
+        { title: 'B', milestone: 'v1.0' }
+      ];
+
+      expect(loadMilestoneDefinitions('issues.csv', 'csv', issues)).toEqual([
+        { title: 'v2.0', due_on: '2025-06-30T00:00:00Z' }
+      ]);
+    });
+
+    it('should reject invalid due dates and states', () => {
+      expect(() => parseMilestoneDefinitions([{ title: 'v1.0', due_on: 'someday' }]))
+        .toThrow('Milestone "v1.0" has an invalid due date "someday"');
+      expect(() => parseMilestoneDefinitions([{ title: 'v1.0', state: 'done' }]))
+        .toThrow('Milestone "v1.0" has an invalid state "done"');
+    });
+  });
+
+  describe('createMissingMilestones', () => {
+    const mockContext = {
+      repo: {
+        owner: 'test-owner',
+        repo: 'test-repo'
+      }
+    };
+
+    it('should create unknown milestones with their definitions', async () => {
+      const mockOctokit = {
+        rest: { issues: { createMilestone: jest.fn().mockResolvedValue({ data: { number: 5 } }) } }
+      };
+      const milestoneMap = new Map([['v1.0', 1]]);
+      const definitions = [{ title: 'v2.0', due_on: '2025-06-30T00:00:00Z' }];
+
+      const created = await createMissingMilestones(mockOctokit, mockContext, definitions, ['v1.0', 'v2.0'], milestoneMap, false);
+
+      expect(created).toEqual(['v2.0']);
+      expect(mockOctokit.rest.issues.createMilestone).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.issues.createMilestone).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        title: 'v2.0',
+        due_on: '2025-06-30T00:00:00Z'
+      });
+      expect(resolveMilestone('v2.0', milestoneMap)).toBe(5);
+    });
+
+    it('should not create milestones in dry run mode', async () => {
+      const mockOctokit = { rest: { issues: { createMilestone: jest.fn() } } };
+      const milestoneMap = new Map();
+
+      const created = await createMissingMilestones(mockOctokit, mockContext, [], ['v3.0'], milestoneMap, true);
+
+      expect(created).toEqual(['v3.0']);
+      expect(mockOctokit.rest.issues.createMilestone).not.toHaveBeenCalled();
+      expect(resolveMilestone('v3.0', milestoneMap)).toEqual({ pending: 'v3.0' });
+    });
+
+    it('should show the milestones a dry run would create', async () => {
+      const core = require('@actions/core');
+      const issue = { title: 'Test', body: '', labels: [], assignees: [], milestone: { pending: 'v9' } };
+
+      await createIssue(null, mockContext, issue, true);
+      await updateIssue(null, mockContext, { number: 4, title: 'Test', body: '', milestone: { number: 2 }, state: 'open' }, issue, true);
+
+      expect(core.info).toHaveBeenCalledWith('  Milestone: v9 (to be created)');
+      expect(core.info).toHaveBeenCalledWith('  milestone: 2 → v9 (to be created)');
+    });
+  });
+
+  describe('requestWithRetry', () => {
+    const requestOptions = { method: 'POST', url: '/repos/{owner}/{repo}/issues' };
+    const listOptions = { method: 'GET', url: '/repos/{owner}/{repo}/issues' };
+
+    const apiError = (status, headers = {}, message = 'Error') => {
+      const error = new Error(message);
+      error.status = status;
+      error.response = { headers };
+      return error;
+    };
+
+    it('should return the response of a successful request', async () => {
+      const request = jest.fn().mockResolvedValue({ status: 201, headers: {} });
+      const wait = jest.fn();
+
+      const response = await requestWithRetry(request, requestOptions, { wait });
+
+      expect(response.status).toBe(201);
+      expect(wait).not.toHaveBeenCalled();
+    });
+
+    it('should retry server errors with backoff and record the statistics', async () => {
+      const request = jest.fn()
+        .mockRejectedValueOnce(apiError(502))
+        .mockRejectedValueOnce(apiError(503))
+        .mockResolvedValue({ status: 201, headers: {} });
+      const wait = jest.fn();
+      const stats = { retries: 0, waitMs: 0 };
+
+      await requestWithRetry(request, listOptions, { wait, stats, baseDelay: 100 });
+
+      expect(request).toHaveBeenCalledTimes(3);
+      expect(stats.retries).toBe(2);
+      expect(wait).toHaveBeenCalledTimes(2);
+      expect(stats.waitMs).toBe(wait.mock.calls[0][0] + wait.mock.calls[1][0]);
+    });
+
+    it('should honor retry-after on secondary rate limits and notify throttling', async () => {
+      const request = jest.fn()
+        .mockRejectedValueOnce(apiError(403, { 'retry-after': '3' }, 'You have exceeded a secondary rate limit'))
+        .mockResolvedValue({ status: 201, headers: {} });
+      const wait = jest.fn();
+      const onThrottle = jest.fn();
+
+      await requestWithRetry(request, requestOptions, { wait, onThrottle });
+
+      expect(wait).toHaveBeenCalledWith(3000);
+      expect(onThrottle).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry client errors', async () => {
+      const request = jest.fn().mockRejectedValue(apiError(403, {}, 'Resource not accessible by integration'));
+      const wait = jest.fn();
+
+      await expect(requestWithRetry(request, requestOptions, { wait })).rejects.toThrow('Resource not accessible');
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after the maximum number of retries', async () => {
+      const request = jest.fn().mockRejectedValue(apiError(500));
+      const wait = jest.fn();
+
+      await expect(requestWithRetry(request, listOptions, { wait, maxRetries: 2 })).rejects.toThrow('Error');
+      expect(request).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not retry POST requests on server errors, which may have been applied', async () => {
+      const request = jest.fn().mockRejectedValue(apiError(502, {}, 'Bad Gateway'));
+      const wait = jest.fn();
+
+      await expect(requestWithRetry(request, requestOptions, { wait })).rejects.toThrow('Bad Gateway');
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should wait for the quota to reset when it is exhausted', async () => {
+      const reset = Math.floor(Date.now() / 1000) + 30;
+      const request = jest.fn().mockResolvedValue({
+        status: 200,
+        headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }
+      });
+      const wait = jest.fn();
+      const state = { resumeAt: 0 };
+
+      await requestWithRetry(request, requestOptions, { wait, state });
+      expect(wait).not.toHaveBeenCalled();
+
+      await requestWithRetry(request, requestOptions, { wait, state });
+      expect(wait).toHaveBeenCalledTimes(1);
+      expect(wait.mock.calls[0][0]).toBeGreaterThan(25000);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should use exponential backoff with jitter for server errors', () => {
+      const error = { status: 500 };
+      for (let attempt = 0; attempt < 4; attempt++) {
+        const delay = getRetryDelay(error, attempt, { baseDelay: 1000 });
+        expect(delay).toBeGreaterThanOrEqual(500 * 2 ** attempt);
+        expect(delay).toBeLessThanOrEqual(1000 * 2 ** attempt);
+      }
+    });
+
+    it('should honor retry-after given as seconds or as an HTTP date', () => {
+      const headers = retryAfter => ({ status: 503, response: { headers: { 'retry-after': retryAfter } } });
+
+      expect(getRetryDelay(headers('5'), 0)).toBe(5000);
+      const delay = getRetryDelay(headers(new Date(Date.now() + 10000).toUTCString()), 0);
+      expect(delay).toBeGreaterThan(8000);
+      expect(delay).toBeLessThanOrEqual(10000);
+      expect(getRetryDelay(headers('Thu, 01 Jan 1970 00:00:00 GMT'), 0)).toBe(0);
+      expect(getRetryDelay(headers('soon'), 0, { baseDelay: 1000 })).toBeGreaterThanOrEqual(500);
+    });
+
+    it('should not retry validation errors', () => {
+      expect(getRetryDelay({ status: 422 }, 0)).toBeNull();
+      expect(getRetryDelay({ status: 502 }, 0, { method: 'POST' })).toBeNull();
+      expect(getRetryDelay({ status: 404 }, 0)).toBeNull();
+    });
+  });
+
+  describe('installRateLimiter', () => {
+    it('should wrap the request hook and expose statistics', async () => {
+      const mockOctokit = { hook: { wrap: jest.fn() } };
+
+      const stats = installRateLimiter(mockOctokit, { maxRetries: 1 });
+
+      expect(stats).toEqual({ retries: 0, waitMs: 0 });
+      expect(mockOctokit.hook.wrap).toHaveBeenCalledWith('request', expect.any(Function));
+
+      const wrapper = mockOctokit.hook.wrap.mock.calls[0][1];
+      const request = jest.fn().mockResolvedValue({ status: 200, headers: {} });
+      await wrapper(request, { method: 'GET', url: '/' });
+      expect(request).toHaveBeenCalledWith({ method: 'GET', url: '/' });
+    });
+
+    it('should report retries in the summary', () => {
+      const counts = countResults([{ status: 'created' }]);
+      expect(formatSummary(counts, { retries: 2, waitMs: 4500 }))
+        .toBe('Import completed: 1 successful, 0 failed (2 retries, 5s waited for rate limits)');
+    });
+  });
+
+  describe('createWorkerPool', () => {
+    it('should keep results in item order and respect the limit', async () => {
+      const pool = createWorkerPool(3);
+      let running = 0;
+      let maxRunning = 0;
+
+      const results = await pool.run([30, 10, 20, 5, 15], async (delay, index) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        running--;
+        return index;
+      });
+
+      expect(results).toEqual([0, 1, 2, 3, 4]);
+      expect(maxRunning).toBe(3);
+    });
+
+    it('should reduce parallelism when throttled', async () => {
+      const pool = createWorkerPool(4);
+      let running = 0;
+      let maxRunningAfterThrottle = 0;
+
+      await pool.run([1, 2, 3, 4, 5, 6, 7, 8], async (item) => {
+        if (item === 1) {
+          pool.throttle();
+        }
+        running++;
+        if (item > 4) {
+          maxRunningAfterThrottle = Math.max(maxRunningAfterThrottle, running);
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+      });
+
+      expect(pool.limit).toBe(2);
+      expect(maxRunningAfterThrottle).toBeLessThanOrEqual(2);
+    });
+
+    it('should stop starting items once an item failed', async () => {
+      const pool = createWorkerPool(2);
+      const started = [];
+
+      await expect(pool.run([1, 2, 3, 4, 5], async (item) => {
+        started.push(item);
+        await new Promise(resolve => setTimeout(resolve, item === 1 ? 1 : 10));
+        if (item === 1) {
+          throw new Error('State file not writable');
+        }
+      })).rejects.toThrow('State file not writable');
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      expect(started).toEqual([1, 2]);
+      expect(pool.active).toBe(0);
+    });
+
+    it('should handle an empty list', async () => {
+      await expect(createWorkerPool(2).run([], jest.fn())).resolves.toEqual([]);
+    });
+  });
+
+  describe('validateAssignees cache', () => {
+    it('should check each assignee only once when a cache is shared', async () => {
+      const mockOctokit = { rest: { repos: { checkCollaborator: jest.fn().mockResolvedValue({ status: 204 }) } } };
+      const mockContext = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+      const cache = new Map();
+
+      await validateAssignees(mockOctokit, mockContext, ['user1'], cache);
+      const result = await validateAssignees(mockOctokit, mockContext, ['User1'], cache);
+
+      expect(result).toEqual(['User1']);
+      expect(mockOctokit.rest.repos.checkCollaborator).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('importIssue', () => {
+    const mockContext = {
+      repo: {
+        owner: 'test-owner',
+        repo: 'test-repo'
+      }
+    };
+
+    const createOptions = (overrides = {}) => ({
+      mode: 'create',
+      dryRun: false,
+      milestoneMap: new Map(),
+      existingIssues: {
+        byExternalId: new Map(),
+        byTitle: new Map([['Existing', { number: 3, html_url: 'https://github.com/test-owner/test-repo/issues/3' }]]),
+        byNumber: new Map()
+      },
+      collaboratorCache: new Map(),
+      state: { matchedNumbers: new Set(), unmatchedFailures: 0 },
+      ...overrides
+    });
+
+    it('should create new issues and register them for later rows by number and id only', async () => {
+      const mockOctokit = {
+        rest: { issues: { create: jest.fn().mockResolvedValue({ data: { number: 4, html_url: 'url-4' } }) } }
+      };
+      const options = createOptions({ matchTitle: true });
+
+      const result = await importIssue(mockOctokit, mockContext, { title: 'New', id: 'TASK-4' }, 0, options);
+
+      expect(result.status).toBe('created');
+      expect(options.existingIssues.byNumber.get(4).title).toBe('New');
+      expect(options.existingIssues.byExternalId.get('TASK-4').number).toBe(4);
+      expect(options.existingIssues.byTitle.has('New')).toBe(false);
+    });
+
+    it('should only match existing issues by title when enabled', async () => {
+      const mockOctokit = {
+        rest: { issues: { create: jest.fn().mockResolvedValue({ data: { number: 4, html_url: 'url-4' } }) } }
+      };
+
+      const result = await importIssue(mockOctokit, mockContext, { title: 'Existing' }, 0, createOptions());
+
+      expect(result.status).toBe('created');
+    });
+
+    it('should skip existing issues', async () => {
+      const mockOctokit = { rest: { issues: { create: jest.fn() } } };
+      const options = createOptions({ matchTitle: true });
+
+      const result = await importIssue(mockOctokit, mockContext, { title: 'Existing' }, 0, options);
+
+      expect(result).toEqual({
+        status: 'skipped',
+        title: 'Existing',
+        number: 3,
+        url: 'https://github.com/test-owner/test-repo/issues/3'
+      });
+      expect(options.state.matchedNumbers.has(3)).toBe(true);
+      expect(mockOctokit.rest.issues.create).not.toHaveBeenCalled();
+    });
+
+    it('should report invalid rows as failed', async () => {
+      const options = createOptions();
+
+      const result = await importIssue({}, mockContext, { body: 'No title' }, 5, options);
+
+      expect(result).toEqual({
+        status: 'failed',
+        title: 'Unknown',
+        error: 'Issue at index 5 is missing a valid title'
+      });
+      expect(options.state.unmatchedFailures).toBe(1);
+    });
+
+    it('should render the body template before creating the issue', async () => {
+      const mockOctokit = {
+        rest: { issues: { create: jest.fn().mockResolvedValue({ data: { number: 4, html_url: 'url-4' } }) } }
+      };
+      const warnings = [];
+      const options = createOptions({ bodyTemplate: 'Component: {{component}}\nOwner: {{owner}}', warnings });
+
+      await importIssue(mockOctokit, mockContext, { title: 'New', component: 'api', description: 'Old' }, 2, options);
+
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({ body: 'Component: api\nOwner:' }));
+      expect(warnings).toEqual(['Body template of the issue at index 2 uses unknown variable "owner"']);
+    });
+  });
+
+  describe('run', () => {
+    const core = require('@actions/core');
+    const github = require('@actions/github');
+    let mockOctokit;
+    let inputs;
+    let testFile;
+
+    beforeEach(() => {
+      testFile = path.join(__dirname, 'test-run.json');
+      fs.writeFileSync(testFile, JSON.stringify([
+        { title: 'First', labels: ['bug'] },
+        { title: 'Existing' },
+        { title: 'Third' }
+      ]));
+
+      inputs = {
+        'file-path': testFile,
+        'file-format': 'json',
+        'github-token': 'token',
+        'match-title': 'true',
+        concurrency: '2'
+      };
+      core.getInput.mockImplementation(name => inputs[name] || '');
+
+      let nextNumber = 10;
+      mockOctokit = {
+        hook: { wrap: jest.fn() },
+        paginate: jest.fn(async (method) => {
+          if (method === mockOctokit.rest.issues.listForRepo) {
+            return [{ number: 1, title: 'Existing', body: '', html_url: 'url-1' }];
+          }
+          if (method === mockOctokit.rest.issues.listLabelsForRepo) {
+            return [{ name: 'bug', color: 'd73a4a' }];
+          }
+          return [];
+        }),
+        rest: {
+          issues: {
+            listForRepo: jest.fn(),
+            listLabelsForRepo: jest.fn(),
+            listMilestones: jest.fn(),
+            create: jest.fn(async ({ title }) => ({ data: { number: nextNumber++, html_url: `url-${title}` } }))
+          },
+          repos: { checkCollaborator: jest.fn() }
+        }
+      };
+      github.getOctokit.mockReturnValue(mockOctokit);
+    });
+
+    afterEach(() => {
+      fs.unlinkSync(testFile);
+    });
+
+    it('should import new rows and skip existing ones', async () => {
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(mockOctokit.hook.wrap).toHaveBeenCalledWith('request', expect.any(Function));
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledTimes(2);
+      expect(core.setOutput).toHaveBeenCalledWith('issues-created', '2');
+      expect(core.setOutput).toHaveBeenCalledWith('issues-skipped', '1');
+      expect(core.setOutput).toHaveBeenCalledWith('summary', 'Import completed: 2 successful, 1 skipped, 0 failed');
+    });
+
+    it('should not match rows on the title of existing issues by default', async () => {
+      delete inputs['match-title'];
+
+      await run();
+
+      expect(mockOctokit.paginate).not.toHaveBeenCalledWith(mockOctokit.rest.issues.listForRepo, expect.anything());
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledTimes(3);
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'Existing' }));
+    });
+
+    it('should not update an unrelated issue with the same title in upsert mode', async () => {
+      inputs.mode = 'upsert';
+      mockOctokit.rest.issues.update = jest.fn();
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.update).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'Existing' }));
+      expect(core.setOutput).toHaveBeenCalledWith('issues-updated', '0');
+    });
+
+    describe('in sync mode', () => {
+      const syncLabel = 'imported-from:test-run.json';
+
+      beforeEach(() => {
+        inputs.mode = 'sync';
+        mockOctokit.rest.issues.update = jest.fn().mockResolvedValue({ data: {} });
+        mockOctokit.paginate.mockImplementation(async (method) => {
+          if (method === mockOctokit.rest.issues.listForRepo) {
+            return [
+              { number: 5, title: 'Kept', body: '<!-- issue-importer-id: kept -->', state: 'open', labels: [{ name: syncLabel }], html_url: 'url-5' },
+              { number: 6, title: 'Removed', body: '<!-- issue-importer-id: removed -->', state: 'open', labels: [{ name: syncLabel }], html_url: 'url-6' },
+              { number: 7, title: 'By hand', body: '', state: 'open', labels: [], html_url: 'url-7' }
+            ];
+          }
+          return [];
+        });
+      });
+
+      it('should close managed issues whose row was removed', async () => {
+        fs.writeFileSync(testFile, JSON.stringify([{ id: 'kept', title: 'Kept' }, { id: 'new', title: 'New' }]));
+
+        await run();
+
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith({
+          owner: 'test-owner',
+          repo: 'test-repo',
+          issue_number: 6,
+          state: 'closed',
+          state_reason: 'not_planned'
+        });
+        expect(mockOctokit.rest.issues.update).not.toHaveBeenCalledWith(expect.objectContaining({ issue_number: 7 }));
+        expect(core.setOutput).toHaveBeenCalledWith('issues-closed', '1');
+
+        const output = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'issues')[1]);
+        expect(output[2]).toMatchObject({ index: null, externalId: 'removed', status: 'closed', number: 6, repository: 'test-owner/test-repo' });
+      });
+
+      it('should match rows without an id to the managed issue of the same title on a second run', async () => {
+        fs.writeFileSync(testFile, JSON.stringify([{ title: 'A', body: 'x' }, { title: 'By hand' }]));
+        const listed = await mockOctokit.paginate(mockOctokit.rest.issues.listForRepo);
+        mockOctokit.paginate.mockImplementation(async (method) => (method === mockOctokit.rest.issues.listForRepo
+          ? [...listed, { number: 8, title: 'A', body: 'x', state: 'open', labels: [{ name: syncLabel }], html_url: 'url-8' }]
+          : []));
+
+        await run();
+
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(mockOctokit.rest.issues.create).toHaveBeenCalledTimes(1);
+        expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'By hand' }));
+        expect(mockOctokit.rest.issues.update).not.toHaveBeenCalledWith(expect.objectContaining({ issue_number: 8 }));
+        expect(mockOctokit.rest.issues.update).not.toHaveBeenCalledWith(expect.objectContaining({ issue_number: 7 }));
+        expect(core.setOutput).toHaveBeenCalledWith('issues-unchanged', '1');
+        expect(core.setOutput).toHaveBeenCalledWith('issues-closed', '2');
+      });
+
+      it('should not close removed issues when a row failed', async () => {
+        fs.writeFileSync(testFile, JSON.stringify([{ id: 'kept', title: 'Kept' }, { id: 'broken', body: 'No title' }]));
+
+        await run();
+
+        expect(mockOctokit.rest.issues.update).not.toHaveBeenCalledWith(expect.objectContaining({ issue_number: 6 }));
+        expect(core.warning).toHaveBeenCalledWith('⚠️ Skipping closing of removed issues because 1 rows could not be processed');
+        expect(core.setOutput).toHaveBeenCalledWith('issues-closed', '0');
+        expect(core.setFailed).toHaveBeenCalledWith('1 issues failed to import');
+      });
+    });
+
+    it('should create one issue per row when rows share a title', async () => {
+      fs.writeFileSync(testFile, JSON.stringify([{ title: 'Same' }, { title: 'Same' }]));
+
+      await run();
+
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledTimes(2);
+      expect(core.setOutput).toHaveBeenCalledWith('issues-created', '2');
+    });
+
+    it('should expose the per-row results as the issues output', async () => {
+      await run();
+
+      const output = core.setOutput.mock.calls.find(([name]) => name === 'issues')[1];
+      expect(JSON.parse(output)).toEqual([
+        { index: 0, externalId: null, source: testFile, repository: 'test-owner/test-repo', title: 'First', status: 'created', state: 'open', number: 10, url: 'url-First', error: null },
+        { index: 1, externalId: null, source: testFile, repository: 'test-owner/test-repo', title: 'Existing', status: 'skipped', state: null, number: 1, url: 'url-1', error: null },
+        { index: 2, externalId: null, source: testFile, repository: 'test-owner/test-repo', title: 'Third', status: 'created', state: 'open', number: 11, url: 'url-Third', error: null }
+      ]);
+    });
+
+    it('should resume from a state file, skipping completed rows and retrying failures', async () => {
+      const stateFile = path.join(__dirname, 'test-run-state.json');
+      fs.writeFileSync(stateFile, JSON.stringify({
+        version: 1,
+        rows: {
+          'row-0': { index: 0, status: 'created', title: 'First', number: 7, url: 'url-7' },
+          'row-2': { index: 2, status: 'failed', title: 'Third', error: 'API Error' }
+        }
+      }));
+      inputs['state-file'] = stateFile;
+
+      try {
+        await run();
+
+        expect(mockOctokit.rest.issues.create).toHaveBeenCalledTimes(1);
+        expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'Third' }));
+
+        const manifest = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        expect(manifest.rows['row-2']).toMatchObject({ status: 'created', number: 10 });
+        expect(manifest.rows['row-1']).toMatchObject({ status: 'skipped', number: 1 });
+      } finally {
+        fs.unlinkSync(stateFile);
+      }
+    });
+
+    it('should merge several files and break the results down per file', async () => {
+      const csvFile = path.join(__dirname, 'test-run.csv');
+      fs.writeFileSync(csvFile, 'title,body\nFrom CSV,Body\n');
+      inputs['file-path'] = `${testFile}\n${csvFile}`;
+      inputs['file-format'] = '';
+
+      try {
+        await run();
+
+        expect(core.setFailed).not.toHaveBeenCalled();
+        expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'From CSV' }));
+        expect(core.setOutput).toHaveBeenCalledWith('file-format', 'json,csv');
+        expect(core.setOutput).toHaveBeenCalledWith('summary', 'Import completed: 3 successful, 1 skipped, 0 failed');
+        expect(core.info).toHaveBeenCalledWith(`   📄 ${testFile}: 2 successful, 1 skipped, 0 failed`);
+        expect(core.info).toHaveBeenCalledWith(`   📄 ${csvFile}: 1 successful, 0 failed`);
+
+        const output = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'issues')[1]);
+        expect(output[3]).toMatchObject({ index: 3, source: csvFile, title: 'From CSV', status: 'created' });
+      } finally {
+        fs.unlinkSync(csvFile);
+      }
+    });
+
+    it('should require a sync label when importing several files in sync mode', async () => {
+      inputs['file-path'] = `${testFile}\n${testFile}`;
+      inputs.mode = 'sync';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith(
+        'Action failed: sync-label is required in sync mode when file-path lists several entries'
+      );
+    });
+
+    it('should create parents first and link children as sub-issues', async () => {
+      fs.writeFileSync(testFile, JSON.stringify([
+        { id: 'task-1', title: 'Task', parent: 'epic-1', body: 'Part of {{ref:epic-1}}' },
+        { id: 'epic-1', title: 'Epic' }
+      ]));
+      mockOctokit.rest.issues.create.mockImplementation(async ({ title }) => (
+        { data: { number: title === 'Epic' ? 20 : 21, id: title === 'Epic' ? 9020 : 9021, html_url: `url-${title}` } }
+      ));
+      mockOctokit.request = jest.fn().mockResolvedValue({});
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.create.mock.calls.map(([payload]) => payload.title)).toEqual(['Epic', 'Task']);
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({
+        body: 'Part of #20\n\n<!-- issue-importer-id: task-1 -->'
+      }));
+      expect(mockOctokit.request).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ issue_number: 20, sub_issue_id: 9021 }));
+
+      const output = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'issues')[1]);
+      expect(output.map(record => [record.index, record.number])).toEqual([[0, 21], [1, 20]]);
+    });
+
+    it('should resolve issue types once and turn mapped labels into types', async () => {
+      fs.writeFileSync(testFile, JSON.stringify([
+        { title: 'Crash', labels: 'bug, ui' },
+        { title: 'Dark mode', type: 'feature' },
+        { title: 'Typo', type: 'Chore' }
+      ]));
+      inputs['type-mapping'] = 'bug: Bug';
+      mockOctokit.request = jest.fn().mockResolvedValue({
+        data: [{ name: 'Bug' }, { name: 'Feature' }, { name: 'Task' }, { name: 'Legacy', is_enabled: false }]
+      });
+
+      await run();
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.request).toHaveBeenCalledWith('GET /orgs/{org}/issue-types', { org: 'test-owner' });
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'Crash', labels: ['ui'], type: 'Bug' }));
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'Dark mode', type: 'Feature' }));
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledTimes(2);
+
+      const output = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'issues')[1]);
+      expect(output[2]).toMatchObject({
+        status: 'failed',
+        error: expect.stringContaining('has an unknown type "Chore" (expected one of Bug, Feature, Task)')
+      });
+    });
+
+    it('should import rows into the repository of their row or of the repository input', async () => {
+      fs.writeFileSync(testFile, JSON.stringify([
+        { id: 'epic', title: 'Epic', milestone: 'v1' },
+        { id: 'api-task', title: 'API task', repository: 'octo/api', parent: 'epic', body: 'Part of {{ref:epic}}' },
+        { title: 'Web task', repository: 'Octo/Planning' }
+      ]));
+      inputs.repository = 'octo/planning';
+      inputs.concurrency = '1';
+      mockOctokit.paginate.mockImplementation(async (method, { repo }) => {
+        if (method === mockOctokit.rest.issues.listMilestones && repo === 'planning') {
+          return [{ title: 'v1', number: 3 }];
+        }
+        return [];
+      });
+      mockOctokit.rest.issues.create.mockImplementation(async ({ repo, title }) => (
+        { data: { number: repo === 'api' ? 4 : 20, id: repo === 'api' ? 904 : 920, html_url: `url-${title}` } }
+      ));
+      mockOctokit.request = jest.fn().mockResolvedValue({});
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.issues.listMilestones, expect.objectContaining({ owner: 'octo', repo: 'planning' }));
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockOctokit.rest.issues.listMilestones, expect.objectContaining({ owner: 'octo', repo: 'api' }));
+      expect(mockOctokit.paginate).toHaveBeenCalledTimes(4);
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({ owner: 'octo', repo: 'planning', title: 'Epic', milestone: 3 }));
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({
+        owner: 'octo',
+        repo: 'api',
+        body: 'Part of octo/planning#20\n\n<!-- issue-importer-id: api-task -->'
+      }));
+      expect(mockOctokit.request).toHaveBeenCalledWith(expect.any(String), { owner: 'octo', repo: 'planning', issue_number: 20, sub_issue_id: 904 });
+
+      const output = JSON.parse(core.setOutput.mock.calls.find(([name]) => name === 'issues')[1]);
+      expect(output.map(record => record.repository)).toEqual(['octo/planning', 'octo/api', 'octo/planning']);
+      expect(core.info).toHaveBeenCalledWith('   📦 octo/planning: 2 successful, 0 failed');
+      expect(core.info).toHaveBeenCalledWith('   📦 octo/api: 1 successful, 0 failed');
+    });
+
+    it('should only create the milestones of each repository in it', async () => {
+      fs.writeFileSync(testFile, JSON.stringify({
+        milestones: [{ title: 'v1', due_on: '2025-03-01' }, { title: 'v2' }],
+        issues: [
+          { title: 'Planning task', milestone: 'v1' },
+          { title: 'API task', repository: 'octo/api', milestone: 'v3', milestone_due_on: '2025-06-01' }
+        ]
+      }));
+      inputs.repository = 'octo/planning';
+      inputs['create-missing-milestones'] = 'true';
+      mockOctokit.rest.issues.createMilestone = jest.fn(async ({ title }) => ({ data: { number: title === 'v1' ? 1 : 3 } }));
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createMilestone.mock.calls.map(([{ repo, title, due_on: dueOn }]) => [repo, title, dueOn])).toEqual([
+        ['planning', 'v1', '2025-03-01T00:00:00Z'],
+        ['api', 'v3', '2025-06-01T00:00:00Z']
+      ]);
+    });
+
+    it('should report every invalid repository before importing', async () => {
+      fs.writeFileSync(testFile, JSON.stringify([
+        { title: 'First', repository: 'api' },
+        { title: 'Second' },
+        { title: 'Third', repository: 'octo/api/issues' }
+      ]));
+
+      await run();
+
+      expect(mockOctokit.rest.issues.create).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith([
+        'Action failed: Invalid repositories:',
+        `- Issue at index 0 in ${testFile} has an invalid repository "api" (expected owner/name)`,
+        `- Issue at index 2 in ${testFile} has an invalid repository "octo/api/issues" (expected owner/name)`
+      ].join('\n'));
+    });
+
+    it('should fail on an invalid repository input', async () => {
+      inputs.repository = 'octo';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Action failed: repository must be in the "owner/name" format');
+    });
+
+    it('should check every row and create nothing in strict mode when a row is invalid', async () => {
+      fs.writeFileSync(testFile, JSON.stringify([
+        { title: 'First' },
+        { body: 'No title' },
+        { title: 'Third', milestone: 'v9' },
+        { title: 'x'.repeat(300) }
+      ]));
+      inputs['validation-mode'] = 'strict';
+
+      await run();
+
+      expect(mockOctokit.rest.issues.create).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('issues-failed', '3');
+      expect(core.setFailed).toHaveBeenCalledWith([
+        'Action failed: Validation found 3 problems in 3 of 4 issues:',
+        `- Issue at index 1 in ${testFile} is missing a valid title`,
+        `- Issue at index 2 in ${testFile}: Milestone "v9" not found in repository. Issue will be created without milestone.`,
+        `- Issue at index 3 in ${testFile} has a title of 300 characters (at most 256)`
+      ].join('\n'));
+      expect(core.summary.addTable).toHaveBeenCalledWith(expect.arrayContaining([['3', 'Third', expect.stringContaining('Milestone &quot;v9&quot;')]]));
+    });
+
+    it('should import valid files in strict mode', async () => {
+      inputs['validation-mode'] = 'strict';
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('📈 Validation passed: 3 issues checked');
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not create labels or milestones in strict mode when a row is invalid', async () => {
+      fs.writeFileSync(testFile, JSON.stringify([
+        { title: 'First', labels: ['bug', 'ui'], milestone: 'v1' },
+        { body: 'No title' }
+      ]));
+      inputs['validation-mode'] = 'strict';
+      inputs['create-missing-labels'] = 'true';
+      inputs['create-missing-milestones'] = 'true';
+      mockOctokit.rest.issues.createLabel = jest.fn();
+      mockOctokit.rest.issues.createMilestone = jest.fn();
+
+      await run();
+
+      expect(mockOctokit.rest.issues.createLabel).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createMilestone).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.create).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith([
+        'Action failed: Validation found 1 problems in 1 of 2 issues:',
+        `- Issue at index 1 in ${testFile} is missing a valid title`
+      ].join('\n'));
+    });
+
+    it('should report hierarchy problems with the other problems of the rows in strict mode', async () => {
+      fs.writeFileSync(testFile, JSON.stringify([
+        { id: 'a', title: 'A', parent: 'missing' },
+        { body: 'No title' }
+      ]));
+      inputs['validation-mode'] = 'strict';
+
+      await run();
+
+      expect(mockOctokit.rest.issues.create).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith([
+        'Action failed: Validation found 2 problems in 2 of 2 issues:',
+        `- Issue at index 0 in ${testFile} references unknown id "missing"`,
+        `- Issue at index 1 in ${testFile} is missing a valid title`
+      ].join('\n'));
+    });
+
+    it('should only fail the rows with hierarchy problems in continue mode', async () => {
+      fs.writeFileSync(testFile, JSON.stringify([
+        { id: 'a', title: 'A', parent: 'missing' },
+        { id: 'b', title: 'B' }
+      ]));
+
+      await run();
+
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'B' }));
+      expect(core.setOutput).toHaveBeenCalledWith('issues-failed', '1');
+      expect(core.error).toHaveBeenCalledWith(
+        `❌ Failed to process issue at index 0 in ${testFile}: Issue at index 0 in ${testFile} references unknown id "missing"`
+      );
+    });
+
+    it('should list hierarchy problems in the job summary in validate-only mode', async () => {
+      fs.writeFileSync(testFile, JSON.stringify([{ id: 'a', title: 'A' }, { id: 'a', title: 'A again' }]));
+      inputs['validation-mode'] = 'validate-only';
+
+      await run();
+
+      expect(mockOctokit.rest.issues.create).not.toHaveBeenCalled();
+      expect(core.summary.addHeading).toHaveBeenCalledWith('🔎 Issue Validation Results');
+      expect(core.summary.addTable).toHaveBeenCalledWith(expect.arrayContaining([['2', 'A again', expect.stringContaining('has the same id')]]));
+    });
+
+    it('should create nothing when the milestones to create against cannot be listed', async () => {
+      inputs['create-missing-labels'] = 'true';
+      inputs['create-missing-milestones'] = 'true';
+      mockOctokit.rest.issues.createLabel = jest.fn();
+      mockOctokit.rest.issues.createMilestone = jest.fn();
+      mockOctokit.paginate.mockImplementation(async (method) => {
+        if (method === mockOctokit.rest.issues.listMilestones) {
+          throw new Error('Server Error');
+        }
+        return [];
+      });
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Action failed: Failed to fetch milestones: Server Error');
+      expect(mockOctokit.rest.issues.createLabel).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createMilestone).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.create).not.toHaveBeenCalled();
+    });
+
+    it('should create labels and milestones in strict mode once validation passes', async () => {
+      fs.writeFileSync(testFile, JSON.stringify([{ title: 'First', labels: ['bug', 'ui'], milestone: 'v1' }]));
+      inputs['validation-mode'] = 'strict';
+      inputs['create-missing-labels'] = 'true';
+      inputs['create-missing-milestones'] = 'true';
+      mockOctokit.rest.issues.createLabel = jest.fn();
+      mockOctokit.rest.issues.createMilestone = jest.fn().mockResolvedValue({ data: { number: 7 } });
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith('📈 Validation passed: 1 issues checked');
+      expect(mockOctokit.rest.issues.createLabel).toHaveBeenCalledWith(expect.objectContaining({ name: 'ui' }));
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({ title: 'First', milestone: 7 }));
+    });
+
+    it('should fail in strict mode on labels that are neither in the repository nor declared', async () => {
+      fs.writeFileSync(testFile, JSON.stringify([{ title: 'First', labels: ['bug', 'ui'] }]));
+      inputs['validation-mode'] = 'strict';
+
+      await run();
+
+      expect(mockOctokit.rest.issues.create).not.toHaveBeenCalled();
+      expect(core.setFailed).toHaveBeenCalledWith([
+        'Action failed: Validation found 1 problems in 1 of 1 issues:',
+        `- Issue at index 0 in ${testFile}: Label "ui" does not exist in test-owner/test-repo and is not declared.`
+      ].join('\n'));
+    });
+
+    it('should report every problem before importing in continue mode', async () => {
+      fs.writeFileSync(testFile, JSON.stringify([
+        { title: 'First', labels: ['ui'] },
+        { body: 'No title' }
+      ]));
+
+      await run();
+
+      expect(core.info).toHaveBeenCalledWith('📈 Validation found 2 problems in 2 of 2 issues');
+      expect(core.info).toHaveBeenCalledWith(`- Issue at index 1 in ${testFile} is missing a valid title`);
+      expect(core.summary.addHeading).toHaveBeenCalledWith('🔎 Issue Validation Results');
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledTimes(1);
+      expect(core.setOutput).toHaveBeenCalledWith('issues-failed', '1');
+    });
+
+    it('should only validate the file in validate-only mode', async () => {
+      inputs['validation-mode'] = 'validate-only';
+      inputs['create-missing-labels'] = 'true';
+      mockOctokit.rest.issues.createLabel = jest.fn();
+
+      await run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.create).not.toHaveBeenCalled();
+      expect(mockOctokit.rest.issues.createLabel).not.toHaveBeenCalled();
+      expect(core.setOutput).toHaveBeenCalledWith('summary', 'Validation passed: 3 issues checked');
+      expect(core.setOutput).not.toHaveBeenCalledWith('issues-created', expect.anything());
+      expect(core.summary.addHeading).toHaveBeenCalledWith('🔎 Issue Validation Results');
+    });
+
+    it('should fail on an invalid validation mode', async () => {
+      inputs['validation-mode'] = 'lenient';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Action failed: validation-mode must be one of "continue", "strict", "validate-only"');
+    });
+
+    it('should fail on an unknown source', async () => {
+      inputs.source = 'trello';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Action failed: source must be one of "jira", "gitlab", "azure-boards"');
+    });
+
+    it('should fail on an invalid mode', async () => {
+      inputs.mode = 'replace';
+
+      await run();
+
+      expect(core.setFailed).toHaveBeenCalledWith('Action failed: mode must be one of "create", "upsert" or "sync"');
+    });
+  });
+
+  describe('state file', () => {
+    const stateFile = path.join(__dirname, 'test-state', 'import-state.json');
+
+    afterEach(() => {
+      fs.rmSync(path.join(__dirname, 'test-state'), { recursive: true, force: true });
+    });
+
+    it('should start a new manifest when the file does not exist', () => {
+      expect(loadStateFile(stateFile)).toEqual({ version: 1, rows: {} });
+    });
+
+    it('should key rows by external id or index', () => {
+      expect(getStateKey({ id: 'TASK-1', title: 'Test' }, 4)).toBe('TASK-1');
+      expect(getStateKey({ title: 'Test' }, 4)).toBe('row-4');
+    });
+
+    it('should write and read back recorded rows', () => {
+      const manifest = loadStateFile(stateFile);
+      recordState(manifest, 'TASK-1', 0, { status: 'created', title: 'Test', number: 12, url: 'url-12' });
+      recordState(manifest, 'row-1', 1, { status: 'failed', title: 'Broken', error: 'API Error' });
+      saveStateFile(stateFile, manifest);
+
+      const loaded = loadStateFile(stateFile);
+      expect(loaded.rows['TASK-1']).toEqual({ index: 0, status: 'created', title: 'Test', number: 12, url: 'url-12' });
+      expect(loaded.rows['row-1'].error).toBe('API Error');
+      expect(loaded.updatedAt).toBeDefined();
+      expect(fs.existsSync(`${stateFile}.tmp`)).toBe(false);
+    });
+
+    it('should reject a malformed state file', () => {
+      fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+      fs.writeFileSync(stateFile, '{ "rows": [] }');
+
+      expect(() => loadStateFile(stateFile)).toThrow(`Failed to read state file ${stateFile}: missing "rows" object`);
+    });
+  });
+
+  describe('results file', () => {
+    const results = [
+      { index: 0, externalId: 'TASK-1', source: 'issues.csv', repository: 'octo/web', status: 'created', state: 'closed', title: 'First', number: 10, url: 'url-10' },
+      { index: 1, status: 'failed', title: 'Broken, really', error: 'API Error' },
+      { index: 2, status: 'dry-run', action: 'updated', title: 'Third', number: 3, url: 'url-3', changes: ['body'] },
+      { index: 3, status: 'dry-run', title: 'Fourth', number: 'DRY-RUN' }
+    ];
+
+    it('should flatten results into records', () => {
+      expect(formatResultRecords(results)).toEqual([
+        { index: 0, externalId: 'TASK-1', source: 'issues.csv', repository: 'octo/web', title: 'First', status: 'created', state: 'closed', number: 10, url: 'url-10', error: null },
+        { index: 1, externalId: null, source: null, repository: null, title: 'Broken, really', status: 'failed', state: null, number: null, url: null, error: 'API Error' },
+        { index: 2, externalId: null, source: null, repository: null, title: 'Third', status: 'dry-run:updated', state: null, number: 3, url: 'url-3', error: null },
+        { index: 3, externalId: null, source: null, repository: null, title: 'Fourth', status: 'dry-run', state: null, number: null, url: null, error: null }
+      ]);
+    });
+
+    it('should write JSON and CSV results files', () => {
+      const jsonFile = path.join(__dirname, 'test-results.json');
+      const csvFile = path.join(__dirname, 'test-results.csv');
+      const records = formatResultRecords(results.slice(0, 2));
+
+      try {
+        writeResultsFile(jsonFile, records);
+        writeResultsFile(csvFile, records);
+
+        expect(JSON.parse(fs.readFileSync(jsonFile, 'utf8'))).toEqual(records);
+        expect(fs.readFileSync(csvFile, 'utf8').split('\r\n')).toEqual([
+          'index,externalId,source,repository,title,status,state,number,url,error',
+          '0,TASK-1,issues.csv,octo/web,First,created,closed,10,url-10,',
+          '1,,,,"Broken, really",failed,,,,API Error'
+        ]);
+      } finally {
+        fs.unlinkSync(jsonFile);
+        fs.unlinkSync(csvFile);
+      }
+    });
+  });
+
+  describe('writeJobSummary', () => {
+    const core = require('@actions/core');
+
+    it('should render totals, created issues, failures and warnings', async () => {
+      const results = [
+        { index: 0, status: 'created', title: 'First <script>', number: 10, url: 'https://github.com/o/r/issues/10', warnings: [] },
+        { index: 1, status: 'failed', title: 'Second', error: 'Validation Failed: assignees: invalid - Validation failed' },
+        {
+          index: 2,
+          status: 'created',
+          title: 'Third',
+          number: 11,
+          url: 'https://github.com/o/r/issues/11',
+          warnings: ['Milestone "v9" not found in repository. Issue will be created without milestone.']
+        }
+      ];
+      const counts = countResults(results);
+
+      await writeJobSummary(results, counts, formatSummary(counts));
+
+      expect(core.summary.addTable).toHaveBeenCalledTimes(4);
+      const [totals, created, failures, warnings] = core.summary.addTable.mock.calls.map(([rows]) => rows);
+      expect(totals.slice(1)).toEqual([['✅ created', '2'], ['❌ failed', '1']]);
+      expect(created[1]).toEqual(['1', '<a href="https://github.com/o/r/issues/10">#10</a>', 'First &lt;script&gt;']);
+      expect(failures[1]).toEqual(['2', 'Second', 'Validation Failed: assignees: invalid - Validation failed']);
+      expect(warnings.slice(1)).toEqual([[
+        '3',
+        'Third',
+        'Milestone &quot;v9&quot; not found in repository. Issue will be created without milestone.'
+      ]]);
+      expect(core.summary.write).toHaveBeenCalled();
+    });
+
+    it('should break the totals down per file when several files were imported', async () => {
+      const results = [
+        { index: 0, source: 'a.csv', status: 'created', title: 'First', number: 10 },
+        { index: 1, source: 'b.json', status: 'failed', title: 'Second', error: 'API Error' }
+      ];
+      const counts = countResults(results);
+
+      await writeJobSummary(results, counts, formatSummary(counts), countResultsByFile(results));
+
+      const files = core.summary.addTable.mock.calls[1][0];
+      expect(files.map(row => row.map(cell => (typeof cell === 'object' ? cell.data : cell)))).toEqual([
+        ['File', '✅ created', '❌ failed'],
+        ['a.csv', '1', '0'],
+        ['b.json', '0', '1']
+      ]);
+    });
+
+    it('should break the totals down per repository and qualify issue links', async () => {
+      const results = [
+        { index: 0, repository: 'octo/web', status: 'created', title: 'First', number: 10, url: 'url-10' },
+        { index: 1, repository: 'octo/api', status: 'created', title: 'Second', number: 4, url: 'url-4' }
+      ];
+      const counts = countResults(results);
+
+      await writeJobSummary(results, counts, formatSummary(counts), null, countResultsByRepository(results));
+
+      const [, repositories, created] = core.summary.addTable.mock.calls.map(([rows]) => rows);
+      expect(repositories.map(row => row.map(cell => (typeof cell === 'object' ? cell.data : cell)))).toEqual([
+        ['Repository', '✅ created'],
+        ['octo/web', '1'],
+        ['octo/api', '1']
+      ]);
+      expect(created[2]).toEqual(['2', '<a href="url-4">octo/api#4</a>', 'Second']);
+    });
+
+    it('should not fail the import when the summary cannot be written', async () => {
+      core.summary.write.mockRejectedValueOnce(new Error('Unable to find environment variable'));
+
+      await writeJobSummary([], countResults([]), 'Import completed: 0 successful, 0 failed');
+
+      expect(core.warning).toHaveBeenCalledWith('Failed to write job summary: Unable to find environment variable');
+    });
+  });
+
+  describe('row warnings', () => {
+    it('should collect dropped assignees and unknown milestones', async () => {
+      const mockOctokit = { rest: { repos: { checkCollaborator: jest.fn().mockRejectedValue({ status: 404 }) } } };
+      const warnings = [];
+
+      await validateIssue(mockOctokit, { repo: {} }, { title: 'Test', assignees: 'ghost', milestone: 'v9' }, 0, new Map(), { warnings });
+
+      expect(warnings).toEqual([
+        '⚠️ Assignee \'ghost\' is not a collaborator of this repository. Skipping.',
+        'Milestone "v9" not found in repository. Issue will be created without milestone.'
+      ]);
+    });
+  });
+
+  describe('parseYamlFile', () => {
+    it('should parse a top-level list with block scalar bodies', async () => {
+      const testFile = path.join(__dirname, 'test.yaml');
+      fs.writeFileSync(testFile, [
+        '- title: Test Issue',
+        '  body: |',
+        '    First line',
+        '',
+        '    - a bullet',
+        '  labels: [bug, enhancement]',
+        '  assignees: user1'
+      ].join('\n'));
+
+      try {
+        const result = await parseYamlFile(testFile);
+        expect(result).toEqual([{
+          title: 'Test Issue',
+          body: 'First line\n\n- a bullet\n',
+          labels: ['bug', 'enhancement'],
+          assignees: 'user1'
+        }]);
+      } finally {
+        fs.unlinkSync(testFile);
+      }
+    });
+
+    it('should parse a mapping with an issues list and sections', async () => {
+      const testFile = path.join(__dirname, 'test-object.yml');
+      fs.writeFileSync(testFile, [
+        'labels:',
+        '  - name: bug',
+        '    color: d73a4a',
+        'issues:',
+        '  - title: Test Issue',
+        '    milestone: v1.0'
+      ].join('\n'));
+
+      try {
+        expect(await parseYamlFile(testFile)).toEqual([{ title: 'Test Issue', milestone: 'v1.0' }]);
+        expect(await loadLabelDefinitions(testFile, 'yaml', '')).toEqual([
+          { name: 'bug', color: 'd73a4a', description: undefined }
+        ]);
+      } finally {
+        fs.unlinkSync(testFile);
+      }
+    });
+
+    it('should report the line and column of syntax errors', async () => {
+      const testFile = path.join(__dirname, 'invalid.yaml');
+      fs.writeFileSync(testFile, 'issues:\n  - title: Test\n    body: [unclosed\n  - title: : Other\n');
+
+      try {
+        await expect(parseYamlFile(testFile)).rejects.toThrow(/^Failed to parse YAML file: line 4, column 3: /);
+      } finally {
+        fs.unlinkSync(testFile);
+      }
+    });
+
+    it('should reject documents without issues', async () => {
+      const testFile = path.join(__dirname, 'no-issues.yaml');
+      fs.writeFileSync(testFile, 'title: Not a list\n');
+
+      try {
+        await expect(parseYamlFile(testFile))
+          .rejects.toThrow('YAML file must contain a list of issues or a mapping with an "issues" list');
+      } finally {
+        fs.unlinkSync(testFile);
+      }
+    });
+  });
+
+  describe('Markdown files', () => {
+    const testDir = path.join(__dirname, 'test-markdown');
+    const loadIssues = async filePath => (await loadInputFiles(filePath, 'auto')).flatMap(inputFile => inputFile.issues);
+
+    beforeEach(() => {
+      fs.mkdirSync(path.join(testDir, 'nested'), { recursive: true });
+      fs.writeFileSync(path.join(testDir, 'b-second.md'), [
+        '---',
+        'title: Second issue',
+        'labels: [bug]',
+        'assignees: user1',
+        'milestone: v1.0',
+        'id: TASK-2',
+        '---',
+        '',
+        '## Details',
+        '',
+        'Body of the second issue.',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(testDir, 'a-first.md'), '---\ntitle: First issue\n---\nFirst body\n');
+      fs.writeFileSync(path.join(testDir, 'nested', 'c-third.md'), 'No front matter here\n');
+      fs.writeFileSync(path.join(testDir, 'notes.txt'), 'Not Markdown');
+    });
+
+    afterEach(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should parse one issue per Markdown file in sorted order', async () => {
+      const result = await loadIssues(testDir);
+
+      expect(result).toHaveLength(3);
+      expect(result[0]).toMatchObject({ title: 'First issue', body: 'First body' });
+      expect(result[1]).toMatchObject({
+        title: 'Second issue',
+        body: '## Details\n\nBody of the second issue.',
+        labels: ['bug'],
+        assignees: 'user1',
+        milestone: 'v1.0',
+        id: 'TASK-2'
+      });
+      expect(result[2]).toMatchObject({ body: 'No front matter here' });
+    });
+
+    it('should accept a glob pattern', async () => {
+      const result = await loadIssues(path.join(testDir, '*.md'));
+      expect(result.map(issue => issue.title)).toEqual(['First issue', 'Second issue']);
+    });
+
+    it('should name the file in validation errors', async () => {
+      const [, , third] = await loadIssues(testDir);
+      const source = path.relative(process.cwd(), path.join(testDir, 'nested', 'c-third.md'));
+
+      await expect(validateIssue({}, {}, third, 2, new Map()))
+        .rejects.toThrow(`Issue in ${source} is missing a valid title`);
+      expect(getStateKey(third, 2)).toBe(source);
+    });
+
+    it('should name the file in front matter errors', () => {
+      const file = path.join(testDir, 'broken.md');
+      fs.writeFileSync(file, '---\ntitle: [unclosed\n---\nBody\n');
+
+      expect(() => parseMarkdownFile(file)).toThrow(`Failed to parse Markdown file ${file}: line`);
+    });
+
+    it('should fail when a directory holds no Markdown files', async () => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+      fs.mkdirSync(testDir, { recursive: true });
+
+      await expect(loadIssues(testDir)).rejects.toThrow('No Markdown files found in');
+    });
+  });
+
+  describe('detectFileFormat', () => {
+    const testDir = path.join(__dirname, 'test-detect');
+
+    beforeEach(() => {
+      fs.mkdirSync(testDir, { recursive: true });
+    });
+
+    afterEach(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    const writeFile = (name, content) => {
+      const file = path.join(testDir, name);
+      fs.writeFileSync(file, content);
+      return file;
+    };
+
+    it('should infer the format from the extension', () => {
+      expect(detectFileFormat('issues.csv')).toBe('csv');
+      expect(detectFileFormat('issues.JSON')).toBe('json');
+      expect(detectFileFormat('issues.yml')).toBe('yaml');
+      expect(detectFileFormat('roadmap/*.md')).toBe('markdown');
+      expect(detectFileFormat(testDir)).toBe('markdown');
+    });
+
+    it('should sniff the content of files without a known extension', () => {
+      expect(detectFileFormat(writeFile('array.txt', '[{"title": "Test"}]'))).toBe('json');
+      expect(detectFileFormat(writeFile('object.txt', '{"issues": []}'))).toBe('json');
+      expect(detectFileFormat(writeFile('issues.txt', 'title,body\nTest,Body\n'))).toBe('csv');
+      expect(detectFileFormat(writeFile('semicolons.txt', 'title;labels\nTest;bug\n'))).toBe('csv');
+      expect(detectFileFormat(writeFile('list.txt', '- title: Test\n  body: Body\n'))).toBe('yaml');
+      expect(detectFileFormat(writeFile('issue.txt', '---\ntitle: Test\n---\nBody\n'))).toBe('markdown');
+    });
+
+    it('should fail when the format cannot be detected', () => {
+      const file = writeFile('notes.txt', 'Just some notes');
+      expect(() => detectFileFormat(file))
+        .toThrow(`Could not detect the format of ${file}. Set file-format to "csv", "json", "yaml" or "markdown".`);
+    });
+
+    it('should fail when the format is ambiguous', () => {
+      const file = writeFile('ambiguous.txt', '- title: a, b\n- title: c, d\n');
+      expect(() => detectFileFormat(file)).toThrow(`The format of ${file} is ambiguous`);
+    });
+
+    it('should fail for missing files', () => {
+      expect(() => detectFileFormat(path.join(testDir, 'missing'))).toThrow('File not found');
+    });
+  });
+
+  describe('loadInputFiles', () => {
+    const testDir = path.join(__dirname, 'test-inputs');
+    const relativeDir = path.relative(process.cwd(), testDir);
+
+    beforeEach(() => {
+      fs.mkdirSync(path.join(testDir, 'docs'), { recursive: true });
+      fs.writeFileSync(path.join(testDir, 'a.csv'), 'title,labels\nFrom CSV,bug\nSecond CSV,\n');
+      fs.writeFileSync(path.join(testDir, 'b.json'), JSON.stringify([{ title: 'From JSON' }]));
+      fs.writeFileSync(path.join(testDir, 'docs', 'note.md'), '---\ntitle: From Markdown\n---\nBody\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should expand lists of files, globs and directories in order', async () => {
+      const files = await resolveInputFiles(`${relativeDir}/docs\n\n  ${relativeDir}/*.json\n${relativeDir}/*.*\n`);
+
+      expect(files).toEqual([
+        path.join(relativeDir, 'docs', 'note.md'),
+        path.join(relativeDir, 'b.json'),
+        path.join(relativeDir, 'a.csv')
+      ]);
+    });
+
+    it('should fail for missing files and patterns without matches', async () => {
+      await expect(resolveInputFiles(`${relativeDir}/missing.csv`))
+        .rejects.toThrow(`File not found: ${relativeDir}/missing.csv`);
+      await expect(resolveInputFiles(`${relativeDir}/*.yaml`))
+        .rejects.toThrow(`No files found matching ${relativeDir}/*.yaml`);
+    });
+
+    it('should parse each file in its own format and tag rows with their source', async () => {
+      const inputFiles = await loadInputFiles(`${relativeDir}/*.csv\n${relativeDir}/*.json\n${relativeDir}/docs`, 'auto');
+      const csvFile = path.join(relativeDir, 'a.csv');
+
+      expect(inputFiles.map(({ file, format, issues }) => [file, format, issues.length])).toEqual([
+        [csvFile, 'csv', 2],
+        [path.join(relativeDir, 'b.json'), 'json', 1],
+        [path.join(relativeDir, 'docs', 'note.md'), 'markdown', 1]
+      ]);
+
+      const rows = inputFiles.flatMap(inputFile => inputFile.issues);
+      rows[1].title = '';
+      await expect(validateIssue(null, null, rows[1], 1, new Map()))
+        .rejects.toThrow(`Issue at index 1 in ${csvFile} is missing a valid title`);
+    });
+
+    it('should count results per source file', () => {
+      expect(countResultsByFile([
+        { source: 'a.csv', status: 'created' },
+        { source: 'b.json', status: 'failed' },
+        { source: 'a.csv', status: 'skipped' },
+        { status: 'closed' }
+      ])).toEqual({
+        'a.csv': expect.objectContaining({ created: 1, skipped: 1, failed: 0 }),
+        'b.json': expect.objectContaining({ created: 0, failed: 1 })
+      });
+    });
+  });
+
+  describe('field mapping', () => {
+    const mapping = parseFieldMapping({
+      title: 'Summary',
+      body: { columns: ['Details', 'Acceptance Criteria'], headings: true },
+      labels: { columns: ['Tags', 'Type'], separator: '|', default: 'imported' },
+      assignees: { column: 'Owner', separator: ' ' },
+      milestone: { default: 'Backlog' },
+      id: 'Key'
+    });
+
+    it('should split multi-value fields on a custom separator', () => {
+      expect(parseLabels('bug | needs triage, maybe', '|')).toEqual(['bug', 'needs triage, maybe']);
+      expect(parseAssignees('user1 user2', ' ')).toEqual(['user1', 'user2']);
+    });
+
+    it('should map columns, combine the body and fill in defaults', () => {
+      const issue = applyFieldMapping({
+        Summary: 'Fix login',
+        Details: 'Users cannot log in.',
+        'acceptance criteria': 'Login works',
+        Tags: 'bug|auth',
+        Type: 'Defect',
+        Owner: 'user1 user2',
+        Key: 'PROJ-1',
+        state: 'open'
+      }, mapping);
+
+      expect(issue).toMatchObject({
+        title: 'Fix login',
+        body: '### Details\n\nUsers cannot log in.\n\n### Acceptance Criteria\n\nLogin works',
+        labels: ['bug', 'auth', 'Defect'],
+        assignees: ['user1', 'user2'],
+        milestone: 'Backlog',
+        id: 'PROJ-1',
+        state: 'open'
+      });
+    });
+
+    it('should use defaults for empty columns and keep the row source', async () => {
+      const issue = applyFieldMapping({ Summary: '', Tags: '' }, mapping);
+
+      expect(issue.labels).toEqual(['imported']);
+      expect(issue.body).toBeUndefined();
+      await expect(validateIssue(null, null, issue, 3, new Map())).rejects.toThrow('Issue at index 3 is missing a valid title');
+    });
+
+    it('should map the parent and state reason of a row', () => {
+      const issue = applyFieldMapping({ Summary: 'Fix login', 'Parent Key': 'PROJ-0', Status: 'closed' }, parseFieldMapping({
+        title: 'Summary',
+        parent: 'Parent Key',
+        state: 'Status',
+        state_reason: { default: 'not_planned' }
+      }));
+
+      expect(getParentId(issue)).toBe('PROJ-0');
+      expect(issue).toMatchObject({ state: 'closed', state_reason: 'not_planned' });
+    });
+
+    it('should reject invalid mappings', () => {
+      expect(() => parseFieldMapping({ summary: 'Title' })).toThrow('unknown field "summary"');
+      expect(() => parseFieldMapping({ labels: { separator: '|' } })).toThrow('"labels" needs a column or a default value');
+      expect(() => parseFieldMapping({ body: { columns: ['A', 3] } })).toThrow('"body" columns must be column names');
+      expect(() => parseFieldMapping(['title'])).toThrow('expected a mapping of issue fields to columns');
+    });
+
+    it('should load the mapping inline or from a file', () => {
+      const mappingFile = path.join(__dirname, 'test-mapping.yml');
+      fs.writeFileSync(mappingFile, 'title: Summary\nlabels:\n  column: Tags\n  separator: "|"\n');
+
+      try {
+        expect(loadFieldMapping('')).toBeNull();
+        expect(loadFieldMapping('{"title": "Summary"}')).toEqual({ title: { columns: ['Summary'] } });
+        expect(loadFieldMapping(mappingFile).labels).toMatchObject({ columns: ['Tags'], separator: '|' });
+        expect(() => loadFieldMapping('title: [Summary')).toThrow('Invalid field-mapping: ');
+      } finally {
+        fs.unlinkSync(mappingFile);
+      }
+    });
+  });
+
+  describe('Jira preset', () => {
+    const jiraFile = path.join(__dirname, 'test-jira.csv');
+
+    beforeEach(() => {
+      fs.writeFileSync(jiraFile, [
+        'Summary,Issue key,Issue Type,Status,Priority,Resolution,Labels,Labels,Watchers,Watchers,Fix Version/s,Description',
+        'Login fails,PROJ-1,Bug,In Progress,High,Unresolved,auth,,alice,bob,1.0,"h2. Steps\r\n* Open *login*"',
+        'Old task,PROJ-2,Task,Done,Low,Done,,,,,,'
+      ].join('\r\n'));
+    });
+
+    afterEach(() => {
+      fs.unlinkSync(jiraFile);
+    });
+
+    it('should collect repeated columns into arrays', async () => {
+      const rows = await parseCsvFile(jiraFile, { repeatedColumns: true });
+
+      expect(rows[0]).toMatchObject({ Summary: 'Login fails', Labels: ['auth'], Watchers: ['alice', 'bob'] });
+      expect(rows[1]).toMatchObject({ Labels: [], Watchers: [] });
+    });
+
+    it('should convert Jira rows into issue fields', async () => {
+      const rows = (await parseCsvFile(jiraFile, { repeatedColumns: true })).map(row => applySourcePreset(row, 'jira'));
+
+      expect(rows[0]).toMatchObject({
+        title: 'Login fails',
+        body: '## Steps\n- Open **login**',
+        labels: ['auth', 'priority:high', 'type:bug'],
+        milestone: '1.0',
+        id: 'PROJ-1',
+        state: 'open',
+        Watchers: ['alice', 'bob']
+      });
+      expect(rows[1]).toMatchObject({ title: 'Old task', body: '', labels: ['priority:low', 'type:task'], id: 'PROJ-2', state: 'closed' });
+      expect(rows[1].milestone).toBeUndefined();
+    });
+
+    it('should leave the state alone without a status or resolution', () => {
+      expect(convertJiraRow({ Summary: 'Test' }).state).toBeUndefined();
+    });
+
+    it('should convert Jira markup to Markdown', () => {
+      expect(convertJiraMarkup([
+        'h3. Details',
+        '* first with _emphasis_',
+        '** nested {{code}}',
+        '# numbered',
+        'See [the docs|https://example.com/docs] and [https://example.com]',
+        '{code:javascript}',
+        'const *a* = b_c_d;',
+        '{code}'
+      ].join('\n'))).toBe([
+        '### Details',
+        '- first with *emphasis*',
+        '  - nested `code`',
+        '1. numbered',
+        'See [the docs](https://example.com/docs) and <https://example.com>',
+        '```javascript',
+        'const *a* = b_c_d;',
+        '```'
+      ].join('\n'));
+      expect(convertJiraMarkup(undefined)).toBe('');
+    });
+
+    it('should only convert bold markup at word boundaries', () => {
+      expect(convertJiraMarkup('*Bold* and (*bold*), but 2*3*4 and a*b*c')).toBe('**Bold** and (**bold**), but 2*3*4 and a*b*c');
+    });
+  });
+
+  describe('GitLab and Azure Boards presets', () => {
+    it('should convert rows of a GitLab CSV export', () => {
+      const issue = applySourcePreset({
+        'Issue ID': '42',
+        URL: 'https://gitlab.com/group/project/-/issues/42',
+        Title: 'Fix login',
+        State: 'Open',
+        Description: 'Users cannot log in.',
+        'Due Date': '2024-05-01',
+        Milestone: 'v1.0',
+        Weight: '3',
+        Labels: 'bug,priority::high'
+      }, 'gitlab');
+
+      expect(issue).toMatchObject({
+        title: 'Fix login',
+        labels: ['bug', 'priority::high', 'weight:3'],
+        milestone: 'v1.0',
+        id: '42',
+        state: 'open'
+      });
+      expect(issue.body).toBe([
+        'Users cannot log in.',
+        '',
+        '---',
+        '_Imported from GitLab_',
+        '',
+        '- Original ID: #42',
+        '- Original URL: https://gitlab.com/group/project/-/issues/42',
+        '- Due date: 2024-05-01'
+      ].join('\n'));
+    });
+
+    it('should convert issues of a GitLab JSON export', () => {
+      const issue = convertGitLabRow({
+        id: 1001,
+        iid: 7,
+        title: 'Old task',
+        description: null,
+        state: 'closed',
+        labels: ['chore'],
+        milestone: { title: 'v0.9', due_date: '2024-01-31' },
+        web_url: 'https://gitlab.com/group/project/-/issues/7'
+      });
+
+      expect(issue).toMatchObject({
+        title: 'Old task',
+        labels: ['chore'],
+        milestone: 'v0.9',
+        milestone_due_on: '2024-01-31',
+        id: '7',
+        state: 'closed'
+      });
+      expect(issue.body).toBe('---\n_Imported from GitLab_\n\n- Original ID: #7\n- Original URL: https://gitlab.com/group/project/-/issues/7');
+    });
+
+    it('should convert rows of an Azure Boards CSV export', () => {
+      const issue = convertAzureBoardsRow({
+        ID: '1234',
+        'Work Item Type': 'User Story',
+        Title: 'Checkout flow',
+        State: 'Active',
+        'Area Path': 'Fabrikam\\Web\\Checkout',
+        'Iteration Path': 'Fabrikam\\Release 1\\Sprint 3',
+        Tags: 'payments; ux',
+        Priority: '2',
+        Description: '<div>Build the checkout.</div>'
+      });
+
+      expect(issue).toMatchObject({
+        title: 'Checkout flow',
+        labels: ['payments', 'ux', 'type:user story', 'area:Fabrikam/Web/Checkout', 'priority:2'],
+        milestone: 'Sprint 3',
+        id: '1234',
+        state: 'open'
+      });
+      expect(issue.body).toBe('<div>Build the checkout.</div>\n\n---\n_Imported from Azure Boards_\n\n- Original ID: 1234');
+    });
+
+    it('should close finished Azure Boards work items and skip root iterations', () => {
+      const issue = convertAzureBoardsRow({ ID: '1', Title: 'Done', State: 'Closed', 'Iteration Path': 'Fabrikam' });
+
+      expect(issue.state).toBe('closed');
+      expect(issue.milestone).toBeUndefined();
+    });
+  });
+
+  describe('body templates and row defaults', () => {
+    it('should render variables, sections, inverted sections and lists', () => {
+      const unknown = new Set();
+      const template = [
+        '## {{Component}}',
+        '{{#acceptance_criteria}}- [ ] {{.}}\n{{/acceptance_criteria}}',
+        '{{#notes}}Notes: {{notes}}{{/notes}}{{^notes}}No notes.{{/notes}}',
+        'Labels: {{labels}}',
+        'Steps:{{#steps}} {{name}} ({{component}}){{/steps}}',
+        'Blocked by {{ref:task-1}}'
+      ].join('\n');
+
+      expect(renderTemplate(template, {
+        component: 'API',
+        acceptance_criteria: ['Works', 'Is tested'],
+        notes: '',
+        labels: ['bug', 'api'],
+        steps: [{ name: 'one' }, { name: 'two' }]
+      }, unknown)).toBe([
+        '## API',
+        '- [ ] Works\n- [ ] Is tested\n',
+        'No notes.',
+        'Labels: bug, api',
+        'Steps: one (API) two (API)',
+        'Blocked by {{ref:task-1}}'
+      ].join('\n'));
+      expect([...unknown]).toEqual([]);
+    });
+
+    it('should iterate the labels and assignees of CSV rows', () => {
+      const unknown = new Set();
+      const template = '{{#labels}}- {{.}}\n{{/labels}}{{#assignees}}@{{.}} {{/assignees}}{{#owner}}{{owner}}{{/owner}}';
+
+      expect(renderTemplate(template, { labels: 'bug; api', assignees: 'alice,bob', owner: 'team-a,team-b' }, unknown))
+        .toBe('- bug\n- api\n@alice @bob team-a,team-b');
+      expect([...unknown]).toEqual([]);
+    });
+
+    it('should not resolve inherited properties as variables', () => {
+      const unknown = new Set();
+
+      expect(renderTemplate('{{constructor}}{{toString}}', { title: 'Test' }, unknown)).toBe('');
+      expect([...unknown]).toEqual(['constructor', 'toString']);
+    });
+
+    it('should report unknown variables and keep the row source', async () => {
+      const warnings = [];
+      const issue = applyBodyTemplate({ title: '', body: 'Old' }, 1, '{{body}} by {{author}}{{#team}}!{{/team}}', warnings);
+
+      expect(issue.body).toBe('Old by');
+      expect(warnings).toEqual([
+        'Body template of the issue at index 1 uses unknown variable "author"',
+        'Body template of the issue at index 1 uses unknown variable "team"'
+      ]);
+      await expect(validateIssue(null, null, issue, 1, new Map())).rejects.toThrow('Issue at index 1 is missing a valid title');
+    });
+
+    it('should load the template from a file', () => {
+      const templateFile = path.join(__dirname, 'test-template.md');
+      fs.writeFileSync(templateFile, '## {{title}}\n');
+
+      try {
+        expect(loadTemplate(templateFile)).toBe('## {{title}}\n');
+        expect(loadTemplate('{{title}}')).toBe('{{title}}');
+        expect(loadTemplate('')).toBe('');
+      } finally {
+        fs.unlinkSync(templateFile);
+      }
+    });
+
+    it('should merge default labels, assignees and milestone into rows', () => {
+      const defaults = { labels: ['imported', 'bug'], assignees: ['user1'], milestone: 'Backlog' };
+
+      expect(applyRowDefaults({ title: 'A', labels: 'bug;api', milestone: 'v1.0' }, defaults)).toEqual({
+        title: 'A',
+        labels: ['bug', 'api', 'imported'],
+        assignees: ['user1'],
+        milestone: 'v1.0'
+      });
+      expect(applyRowDefaults({ title: 'B', milestone: '' }, { labels: [], assignees: [], milestone: 'Backlog' }))
+        .toEqual({ title: 'B', milestone: 'Backlog' });
+    });
+  });
+
+  describe('issue hierarchies', () => {
+    const mockContext = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+
+    it('should find parents and references', () => {
+      expect(getParentId({ parent: ' epic-1 ' })).toBe('epic-1');
+      expect(getParentId({ parent: '' })).toBeNull();
+      expect(findReferences('See {{ref:task-1}} and {{ ref: task-2 }}', undefined, '{{ref:task-1}}')).toEqual(['task-1', 'task-2']);
+    });
+
+    it('should replace known references with issue numbers', () => {
+      const warnings = [];
+      const text = resolveReferences('Blocked by {{ref:task-1}} and {{ref:task-2}}', new Map([['task-1', { number: 12, repository: 'test-owner/test-repo' }]]), warnings);
+
+      expect(text).toBe('Blocked by #12 and {{ref:task-2}}');
+      expect(warnings).toEqual(['Reference to "task-2" could not be resolved because it has no issue']);
+    });
+
+    it('should order parents and referenced rows before the rows depending on them', () => {
+      const plan = planHierarchy([
+        { id: 'task-1', title: 'Task', parent: 'epic-1', body: 'After {{ref:task-2}}' },
+        { id: 'task-2', title: 'Other task', parent: 'epic-1' },
+        { title: 'Unrelated' },
+        { id: 'epic-1', title: 'Epic' },
+        { title: 'Existing child', parent: 'old-epic' }
+      ], { byExternalId: new Map([['old-epic', { number: 3 }]]) });
+
+      expect(plan.order).toEqual([3, 1, 0, 2, 4]);
+      expect(plan.dependencies).toEqual([[3, 1], [3], [], [], []]);
+    });
+
+    it('should report every duplicate id, dangling reference and cycle at once', () => {
+      const plan = planHierarchy([
+        { id: 'a', title: 'A', parent: 'b' },
+        { id: 'b', title: 'B', body: 'Needs {{ref:a}}' },
+        { id: 'c', title: 'C', parent: 'missing' },
+        { id: 'c', title: 'C again' }
+      ], null);
+
+      expect(plan.problems).toEqual([
+        { index: 3, message: 'Issue at index 3 has the same id "c" as the issue at index 2' },
+        { index: 2, message: 'Issue at index 2 references unknown id "missing"' },
+        { index: 0, message: 'Circular reference between issues: a → b → a' }
+      ]);
+      expect(plan.order).toEqual([1, 0, 2, 3]);
+      expect(plan.dependencies).toEqual([[1], [], [], []]);
+    });
+
+    it('should add created issues as sub-issues of their parent', async () => {
+      const mockOctokit = { request: jest.fn().mockResolvedValue({}) };
+      const warnings = [];
+      const result = { status: 'created', title: 'Task', number: 11, id: 9011 };
+
+      await addSubIssue(mockOctokit, mockContext, 'epic-1', result, { references: new Map([['epic-1', { number: 10 }]]), warnings });
+      await addSubIssue(mockOctokit, mockContext, 'epic-2', result, { references: new Map(), warnings });
+
+      expect(mockOctokit.request).toHaveBeenCalledTimes(1);
+      expect(mockOctokit.request).toHaveBeenCalledWith('POST /repos/{owner}/{repo}/issues/{issue_number}/sub_issues', {
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 10,
+        sub_issue_id: 9011
+      });
+      expect(warnings).toEqual(['Issue #11 was not added as a sub-issue because its parent "epic-2" has no issue']);
+    });
+
+    it('should report sub-issue failures as warnings', async () => {
+      const mockOctokit = { request: jest.fn().mockRejectedValue(new Error('Not Found')) };
+      const warnings = [];
+
+      await addSubIssue(mockOctokit, mockContext, 'epic-1', { number: 11, id: 9011 }, { references: new Map([['epic-1', { number: 10 }]]), warnings });
+
+      expect(warnings).toEqual(['Failed to add #11 as a sub-issue of #10: Not Found']);
+    });
+  });
+
+  describe('comments', () => {
+    const mockContext = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+    const commentsFile = path.join(__dirname, 'test-comments.csv');
+
+    afterEach(() => {
+      fs.rmSync(commentsFile, { force: true });
+    });
+
+    it('should normalize comments and drop empty ones', () => {
+      expect(parseComments([
+        'Plain comment',
+        { text: 'From text', date: '2024-01-02' },
+        { body: 'Full', author: 'alice', created_at: '2024-01-01T10:00:00Z' },
+        { body: '  ' },
+        null
+      ])).toEqual([
+        { body: 'Plain comment' },
+        { body: 'From text', author: undefined, created_at: '2024-01-02' },
+        { body: 'Full', author: 'alice', created_at: '2024-01-01T10:00:00Z' }
+      ]);
+      expect(parseComments(undefined)).toEqual([]);
+    });
+
+    it('should read Jira comment columns', () => {
+      expect(parseJiraComment('24/Jan/23 10:15 AM;5b10ac8d;Looks *good*')).toEqual({
+        body: 'Looks **good**',
+        author: '5b10ac8d',
+        created_at: '24/Jan/23 10:15 AM'
+      });
+      expect(parseJiraComment('Just text')).toEqual({ body: 'Just text' });
+    });
+
+    it('should load a comments file and attach comments to rows by id', async () => {
+      fs.writeFileSync(commentsFile, 'issue_id,author,created_at,body\nTASK-1,alice,2024-01-01,First\nTASK-1,bob,,Second\n');
+
+      const commentsById = await loadCommentsFile(commentsFile);
+      const issue = applyComments({ id: 'TASK-1', title: 'Test', comments: ['Inline'] }, commentsById);
+
+      expect(parseComments(issue.comments).map(comment => comment.body)).toEqual(['Inline', 'First', 'Second']);
+      expect(applyComments({ id: 'TASK-2', title: 'Other' }, commentsById).comments).toBeUndefined();
+    });
+
+    it('should reject comments without an issue id', async () => {
+      fs.writeFileSync(commentsFile, 'issue_id,body\n,Orphan\n');
+
+      await expect(loadCommentsFile(commentsFile)).rejects.toThrow(`Comment at index 0 of ${commentsFile} is missing an issue_id`);
+      await expect(loadCommentsFile('missing.csv')).rejects.toThrow('Comments file not found: missing.csv');
+    });
+
+    it('should post comments with a header and report failures as warnings', async () => {
+      const mockOctokit = {
+        rest: {
+          issues: {
+            createComment: jest.fn()
+              .mockResolvedValueOnce({})
+              .mockRejectedValueOnce(new Error('Server Error'))
+              .mockResolvedValueOnce({})
+          }
+        }
+      };
+      const warnings = [];
+      const comments = parseComments([
+        { body: 'First', author: 'alice', created_at: '2024-01-01' },
+        { body: 'Second', author: 'bob' },
+        'Third'
+      ]);
+
+      const posted = await postComments(mockOctokit, mockContext, { number: 5 }, comments, {
+        header: '{{#author}}_Originally posted by {{author}}{{#created_at}} on {{created_at}}{{/created_at}}_{{/author}}',
+        warnings
+      });
+
+      expect(posted).toBe(2);
+      expect(mockOctokit.rest.issues.createComment.mock.calls.map(([payload]) => payload.body)).toEqual([
+        '_Originally posted by alice on 2024-01-01_\n\nFirst',
+        '_Originally posted by bob_\n\nSecond',
+        'Third'
+      ]);
+      expect(warnings).toEqual(['Failed to add comment 2 to #5: Server Error']);
+    });
+
+    it('should post comments after creating the issue without failing it', async () => {
+      const mockOctokit = {
+        rest: {
+          issues: {
+            create: jest.fn().mockResolvedValue({ data: { number: 4, html_url: 'url-4' } }),
+            createComment: jest.fn().mockRejectedValue(new Error('Forbidden'))
+          }
+        }
+      };
+      const warnings = [];
+      const options = {
+        mode: 'create',
+        dryRun: false,
+        milestoneMap: new Map(),
+        existingIssues: null,
+        commentHeader: 'By {{author}}',
+        state: { matchedNumbers: new Set(), unmatchedFailures: 0 },
+        warnings
+      };
+
+      const result = await importIssue(mockOctokit, mockContext, { title: 'New', comments: [{ body: 'Hi', author: 'alice' }] }, 0, options);
+
+      expect(result.status).toBe('created');
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({ issue_number: 4, body: 'By alice\n\nHi' }));
+      expect(warnings).toEqual(['Failed to add comment 1 to #4: Forbidden']);
+    });
+  });
+
+  describe('closed state', () => {
+    const mockContext = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+    const closedIssue = { title: 'Done', body: '', labels: [], assignees: [], milestone: null, state: 'closed', stateReason: 'not_planned' };
+
+    it('should validate the state reason of closed rows', async () => {
+      expect(parseStateReason('Not Planned')).toBe('not_planned');
+      expect(parseStateReason('')).toBeUndefined();
+
+      const validated = await validateIssue(null, null, { title: 'Done', state: 'closed', state_reason: 'completed' }, 0, new Map());
+      expect(validated).toMatchObject({ state: 'closed', stateReason: 'completed' });
+
+      await expect(validateIssue(null, null, { title: 'Done', state: 'closed', state_reason: 'duplicate' }, 2, new Map()))
+        .rejects.toThrow('Issue at index 2 has an invalid state_reason "duplicate" (expected "completed" or "not_planned")');
+    });
+
+    it('should close closed rows right after creating them', async () => {
+      const mockOctokit = {
+        rest: {
+          issues: {
+            create: jest.fn().mockResolvedValue({ data: { number: 5, html_url: 'url-5' } }),
+            update: jest.fn().mockResolvedValue({ data: {} })
+          }
+        }
+      };
+
+      const result = await createIssue(mockOctokit, mockContext, closedIssue, false);
+
+      expect(result).toMatchObject({ status: 'created', number: 5, state: 'closed' });
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 5,
+        state: 'closed',
+        state_reason: 'not_planned'
+      });
+    });
+
+    it('should report issues that could not be closed as open', async () => {
+      const mockOctokit = {
+        rest: {
+          issues: {
+            create: jest.fn().mockResolvedValue({ data: { number: 5, html_url: 'url-5' } }),
+            update: jest.fn().mockRejectedValue(new Error('Forbidden'))
+          }
+        }
+      };
+      const warnings = [];
+
+      const result = await createIssue(mockOctokit, mockContext, closedIssue, false, warnings);
+
+      expect(result).toMatchObject({ status: 'created', state: 'open' });
+      expect(warnings).toEqual(['Issue #5 was created but could not be closed: Forbidden']);
+    });
+
+    it('should show the intended state in dry-run mode', async () => {
+      const core = require('@actions/core');
+
+      const result = await createIssue({}, mockContext, closedIssue, true);
+
+      expect(result.state).toBe('closed');
+      expect(core.info).toHaveBeenCalledWith('  State: closed (not_planned)');
+    });
+
+    it('should send the state reason when closing an existing issue', async () => {
+      const mockOctokit = { rest: { issues: { update: jest.fn().mockResolvedValue({ data: {} }) } } };
+      const existingIssue = { number: 7, title: 'Done', body: '', labels: [], assignees: [], milestone: null, state: 'open' };
+
+      const result = await updateIssue(mockOctokit, mockContext, existingIssue, closedIssue, false);
+
+      expect(result).toMatchObject({ status: 'updated', state: 'closed', changes: ['state'] });
+      expect(mockOctokit.rest.issues.update).toHaveBeenCalledWith(expect.objectContaining({ state: 'closed', state_reason: 'not_planned' }));
+    });
+
+    it('should skip closed rows when requested', async () => {
+      const mockOctokit = { rest: { issues: { create: jest.fn() } } };
+      const options = {
+        mode: 'create',
+        dryRun: false,
+        milestoneMap: new Map(),
+        existingIssues: null,
+        skipClosed: true,
+        state: { matchedNumbers: new Set(), unmatchedFailures: 0 }
+      };
+
+      const result = await importIssue(mockOctokit, mockContext, { title: 'Done', state: 'closed' }, 0, options);
+
+      expect(result).toEqual({ status: 'skipped', title: 'Done', number: undefined, url: undefined, state: undefined });
+      expect(mockOctokit.rest.issues.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('projects', () => {
+    const projectData = {
+      organization: {
+        projectV2: {
+          id: 'PVT_1',
+          title: 'Roadmap',
+          fields: {
+            nodes: [
+              { id: 'F_TITLE', name: 'Title', dataType: 'TITLE' },
+              { id: 'F_STATUS', name: 'Status', dataType: 'SINGLE_SELECT', options: [{ id: 'O_TODO', name: 'Todo' }, { id: 'O_DONE', name: 'Done' }] },
+              {
+                id: 'F_ITER',
+                name: 'Iteration',
+                dataType: 'ITERATION',
+                configuration: { iterations: [{ id: 'I_2', title: 'Sprint 2' }], completedIterations: [{ id: 'I_1', title: 'Sprint 1' }] }
+              },
+              { id: 'F_EST', name: 'Estimate', dataType: 'NUMBER' },
+              { id: 'F_DUE', name: 'Due', dataType: 'DATE' },
+              { id: 'F_NOTE', name: 'Note', dataType: 'TEXT' },
+              {}
+            ]
+          }
+        }
+      }
+    };
+    let project;
+
+    beforeEach(async () => {
+      project = await getProject({ graphql: jest.fn().mockResolvedValue(projectData) }, 'https://github.com/orgs/acme/projects/3');
+    });
+
+    it('should parse organization and user project URLs', () => {
+      expect(parseProjectUrl('https://github.com/orgs/acme/projects/3/views/1')).toEqual({ ownerType: 'organization', login: 'acme', number: 3 });
+      expect(parseProjectUrl('https://github.com/users/alice/projects/12')).toEqual({ ownerType: 'user', login: 'alice', number: 12 });
+      expect(() => parseProjectUrl('https://github.com/acme/repo')).toThrow('Invalid project-url "https://github.com/acme/repo"');
+    });
+
+    it('should load the project schema', async () => {
+      const octokit = { graphql: jest.fn().mockResolvedValue(projectData) };
+
+      const loaded = await getProject(octokit, 'https://github.com/orgs/acme/projects/3');
+
+      expect(octokit.graphql).toHaveBeenCalledWith(expect.stringContaining('organization(login: $login)'), { login: 'acme', number: 3 });
+      expect(loaded.id).toBe('PVT_1');
+      expect([...loaded.fields.keys()]).toEqual(['title', 'status', 'iteration', 'estimate', 'due', 'note']);
+      await expect(getProject({ graphql: jest.fn().mockResolvedValue({ user: { projectV2: null } }) }, 'https://github.com/users/alice/projects/1'))
+        .rejects.toThrow('Project not found: https://github.com/users/alice/projects/1');
+    });
+
+    it('should read project.<Field> columns and project mappings', () => {
+      expect(getProjectFieldValues({ title: 'A', 'project.Status': 'Todo', 'project.Note': ' ', project: { Estimate: 3 } }))
+        .toEqual([['Status', 'Todo'], ['Estimate', 3]]);
+    });
+
+    it('should convert values by field type', () => {
+      expect(resolveProjectFieldValue(project, 'status', 'done').value).toEqual({ singleSelectOptionId: 'O_DONE' });
+      expect(resolveProjectFieldValue(project, 'Iteration', 'Sprint 1').value).toEqual({ iterationId: 'I_1' });
+      expect(resolveProjectFieldValue(project, 'Estimate', '2.5').value).toEqual({ number: 2.5 });
+      expect(resolveProjectFieldValue(project, 'Due', '2024-05-01').value).toEqual({ date: '2024-05-01' });
+      expect(resolveProjectFieldValue(project, 'Note', 'Hi').value).toEqual({ text: 'Hi' });
+    });
+
+    it('should report every unknown field and invalid value up front', () => {
+      expect(validateProjectFields([
+        { title: 'A', 'project.Status': 'Blocked', 'project.Estimate': 'big' },
+        { title: 'B', 'project.Owner': 'alice', 'project.Title': 'Other' },
+        { title: 'C', 'project.Iteration': 'Sprint 2' }
+      ], project).map(problem => `${problem.index}: ${problem.message}`)).toEqual([
+        '0: Issue at index 0: project field "Status" has no option "Blocked" (expected one of Todo, Done)',
+        '0: Issue at index 0: project field "Estimate" expects a number, got "big"',
+        '1: Issue at index 1: unknown project field "Owner"',
+        '1: Issue at index 1: project field "Title" of type TITLE cannot be set from a file'
+      ]);
+    });
+
+    it('should add new issues to the project and set their fields', async () => {
+      const octokit = {
+        graphql: jest.fn()
+          .mockResolvedValueOnce({ addProjectV2ItemById: { item: { id: 'ITEM_1' } } })
+          .mockResolvedValueOnce({})
+          .mockRejectedValueOnce(new Error('Field is read-only'))
+      };
+      const warnings = [];
+
+      await addToProject(octokit, project, { 'project.Status': 'Todo', 'project.Estimate': '3' }, { number: 5, nodeId: 'I_kw5' }, { warnings });
+
+      expect(octokit.graphql).toHaveBeenNthCalledWith(1, expect.stringContaining('addProjectV2ItemById'), { projectId: 'PVT_1', contentId: 'I_kw5' });
+      expect(octokit.graphql).toHaveBeenNthCalledWith(2, expect.stringContaining('updateProjectV2ItemFieldValue'), {
+        projectId: 'PVT_1',
+        itemId: 'ITEM_1',
+        fieldId: 'F_STATUS',
+        value: { singleSelectOptionId: 'O_TODO' }
+      });
+      expect(warnings).toEqual(['Failed to set project field "Estimate" of #5: Field is read-only']);
+    });
+
+    it('should not fail the issue when it cannot be added to the project', async () => {
+      const octokit = { graphql: jest.fn().mockRejectedValue(new Error('Resource not accessible by integration')) };
+      const warnings = [];
+
+      await addToProject(octokit, project, {}, { number: 5, nodeId: 'I_kw5' }, { warnings });
+
+      expect(warnings).toEqual(['Failed to add #5 to project "Roadmap": Resource not accessible by integration']);
+    });
+  });
+
+  describe('issue types', () => {
+    const mockContext = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+    const testDir = path.join(__dirname, 'test-types');
+
+    afterEach(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should load type mappings inline or from a file', () => {
+      expect(loadTypeMapping('')).toBeNull();
+      expect(loadTypeMapping('{"Bug": "Bug", "enhancement": "Feature"}')).toEqual(new Map([['bug', 'Bug'], ['enhancement', 'Feature']]));
+
+      fs.mkdirSync(testDir, { recursive: true });
+      const mappingFile = path.join(testDir, 'types.yml');
+      fs.writeFileSync(mappingFile, 'type:bug: Bug\n');
+      expect(loadTypeMapping(mappingFile)).toEqual(new Map([['type:bug', 'Bug']]));
+
+      fs.writeFileSync(mappingFile, 'bug: [Bug]\n');
+      expect(() => loadTypeMapping(mappingFile))
+        .toThrow(`Invalid type-mapping in ${mappingFile}: the type of label "bug" must be a non-empty string`);
+    });
+
+    it('should replace mapped labels with the type unless the row sets one', () => {
+      const typeMapping = new Map([['bug', 'Bug'], ['enhancement', 'Feature']]);
+
+      expect(applyTypeMapping({ title: 'Crash', labels: 'BUG, ui' }, typeMapping)).toEqual({ title: 'Crash', labels: ['ui'], type: 'Bug' });
+      expect(applyTypeMapping({ title: 'Crash', labels: ['bug'], type: 'Task' }, typeMapping)).toEqual({ title: 'Crash', labels: [], type: 'Task' });
+
+      const row = { title: 'Docs', labels: ['docs'] };
+      expect(applyTypeMapping(row, typeMapping)).toBe(row);
+    });
+
+    it('should load the enabled issue types of the organization', async () => {
+      const mockOctokit = {
+        request: jest.fn().mockResolvedValue({ data: [{ name: 'Bug', is_enabled: true }, { name: 'Epic', is_enabled: false }] })
+      };
+
+      const issueTypes = await getIssueTypes(mockOctokit, mockContext);
+
+      expect(issueTypes).toEqual(new Map([['bug', 'Bug']]));
+    });
+
+    it('should explain that user repositories have no issue types', async () => {
+      const error = Object.assign(new Error('Not Found'), { status: 404 });
+      const mockOctokit = { request: jest.fn().mockRejectedValue(error) };
+
+      await expect(getIssueTypes(mockOctokit, mockContext))
+        .rejects.toThrow('Failed to load the issue types of test-owner: issue types are only available for organization repositories');
+    });
+
+    it('should validate and normalize the type of a row', async () => {
+      const issueTypes = new Map([['bug', 'Bug']]);
+
+      const validated = await validateIssue(null, null, { title: 'Crash', type: ' bug ' }, 0, new Map(), { issueTypes });
+      expect(validated.type).toBe('Bug');
+
+      await expect(validateIssue(null, null, { title: 'Crash', type: 'Defect' }, 3, new Map(), { issueTypes }))
+        .rejects.toThrow('Issue at index 3 has an unknown type "Defect" (expected one of Bug)');
+    });
+
+    it('should send the type when creating and updating issues', async () => {
+      const mockOctokit = {
+        rest: {
+          issues: {
+            create: jest.fn().mockResolvedValue({ data: { number: 7, html_url: 'url-7' } })
+          }
+        }
+      };
+      const issue = { title: 'Crash', body: '', labels: [], assignees: [], milestone: null, type: 'Bug' };
+
+      await createIssue(mockOctokit, mockContext, issue, false);
+
+      expect(mockOctokit.rest.issues.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'Bug' }));
+      const existingIssue = { title: 'Crash', body: '', labels: [], assignees: [], state: 'open', type: { name: 'Bug' } };
+      expect(getIssueChanges(existingIssue, { ...issue, type: 'Task' })).toEqual({ type: { from: 'Bug', to: 'Task' } });
+      expect(getIssueChanges(existingIssue, { ...issue, type: undefined })).toEqual({});
+    });
+  });
+
+  describe('target repositories', () => {
+    const core = require('@actions/core');
+
+    it('should parse owner/name repositories', () => {
+      expect(parseRepository(' octo/my-repo.js ')).toEqual({ owner: 'octo', repo: 'my-repo.js' });
+      expect(parseRepository('octo')).toBeNull();
+      expect(parseRepository('https://github.com/octo/api')).toBeNull();
+    });
+
+    it('should group rows by repository, case-insensitively', () => {
+      const targets = groupRowsByRepository([
+        { title: 'First' },
+        { title: 'Second', repository: 'octo/api' },
+        { title: 'Third', repository: 'Octo/API' },
+        'not a row'
+      ], { owner: 'octo', repo: 'planning' });
+
+      expect([...targets.values()]).toEqual([
+        { name: 'octo/planning', context: { repo: { owner: 'octo', repo: 'planning' } }, indexes: [0, 3] },
+        { name: 'octo/api', context: { repo: { owner: 'octo', repo: 'api' } }, indexes: [1, 2] }
+      ]);
+    });
+
+    it('should qualify references to issues of other repositories', () => {
+      const references = new Map([['epic', { number: 20, repository: 'octo/planning' }], ['task', { number: 4, repository: 'octo/api' }]]);
+
+      expect(resolveReferences('{{ref:epic}}, {{ref:task}}', references, [], 'Octo/API')).toBe('octo/planning#20, #4');
+    });
+
+    it('should add sub-issues to a parent of another repository', async () => {
+      const mockOctokit = { request: jest.fn().mockResolvedValue({}) };
+      const references = new Map([['epic', { number: 20, repository: 'octo/planning' }]]);
+
+      await addSubIssue(mockOctokit, { repo: { owner: 'octo', repo: 'api' } }, 'epic', { number: 4, id: 904 }, {
+        references,
+        repository: 'octo/api',
+        warnings: []
+      });
+
+      expect(mockOctokit.request).toHaveBeenCalledWith('POST /repos/{owner}/{repo}/issues/{issue_number}/sub_issues', {
+        owner: 'octo',
+        repo: 'planning',
+        issue_number: 20,
+        sub_issue_id: 904
+      });
+      expect(core.info).toHaveBeenCalledWith('🔗 Added #4 as a sub-issue of octo/planning#20');
+    });
+  });
+
+  describe('pre-flight validation', () => {
+    const core = require('@actions/core');
+    const mockContext = { repo: { owner: 'test-owner', repo: 'test-repo' } };
+
+    it('should enforce the length limits of GitHub', async () => {
+      await expect(validateIssue(null, null, null, 0, new Map())).rejects.toThrow('Issue at index 0 is not an object');
+      await expect(validateIssue(null, null, { title: 'Test', labels: ['x'.repeat(51)] }, 1, new Map()))
+        .rejects.toThrow(`Issue at index 1 has a label longer than 50 characters: "${'x'.repeat(51)}"`);
+      await expect(validateIssue(null, null, { title: 'Test', body: 'x'.repeat(65537) }, 2, new Map()))
+        .rejects.toThrow('Issue at index 2 has a body of 65537 characters (at most 65536)');
+
+      const validated = await validateIssue(null, null, { title: 'x'.repeat(256), body: 'x'.repeat(65536) }, 3, new Map());
+      expect(validated.title).toHaveLength(256);
+    });
+
+    it('should collect the errors and warnings of every row', async () => {
+      const mockOctokit = {
+        rest: {
+          repos: { checkCollaborator: jest.fn().mockRejectedValue({ status: 404 }) }
+        }
+      };
+      const target = { context: mockContext, milestoneMap: new Map([['v1', 1]]), collaboratorCache: new Map(), issueTypes: null };
+      const issues = [
+        { title: 'Valid', milestone: 'v1' },
+        { title: 'Ghost', assignees: 'ghost', milestone: 'v2' },
+        { title: 'Typed', type: 'Bug' }
+      ];
+
+      const problems = await validateRows(mockOctokit, issues, issues.map(() => target));
+
+      expect(problems).toEqual([
+        { index: 1, title: 'Ghost', message: 'Issue at index 1: ⚠️ Assignee \'ghost\' is not a collaborator of this repository. Skipping.' },
+        { index: 1, title: 'Ghost', message: 'Issue at index 1: Milestone "v2" not found in repository. Issue will be created without milestone.' },
+        { index: 2, title: 'Typed', message: 'Issue at index 2 has an unknown type "Bug"' }
+      ]);
+      expect(formatValidationSummary(problems, 3)).toBe('Validation found 3 problems in 2 of 3 issues');
+      expect(formatValidationSummary([], 3)).toBe('Validation passed: 3 issues checked');
+      expect(core.warning).not.toHaveBeenCalled();
+    });
+
+    it('should report labels that are neither in the repository nor declared', async () => {
+      const target = {
+        name: 'test-owner/test-repo',
+        context: mockContext,
+        milestoneMap: new Map(),
+        labels: new Map([['bug', { name: 'Bug' }]])
+      };
+      const issues = [{ title: 'Labelled', labels: 'BUG, docs, ui' }];
+
+      const problems = await validateRows(null, issues, [target], { declaredLabels: [{ name: 'Docs' }] });
+
+      expect(problems).toEqual([
+        { index: 0, title: 'Labelled', message: 'Issue at index 0: Label "ui" does not exist in test-owner/test-repo and is not declared.' }
+      ]);
+      expect(await validateRows(null, issues, [target], { createMissingLabels: true })).toEqual([]);
+    });
+  });
 });